@@ -0,0 +1,186 @@
+// api-client.js - Shared HTTP client for the Asset Hierarchy backend
+
+/**
+ * Error raised for every failed API call, so screens can branch on status
+ * instead of parsing "API error: ..." strings.
+ * ProblemDetails fields (type, title, detail, instance, errors, traceId) are
+ * copied over when the backend answers with application/problem+json.
+ */
+class ApiError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = details.status ?? 0;
+        this.statusText = details.statusText || '';
+        this.method = details.method || 'GET';
+        this.url = details.url || '';
+        this.serverMessage = details.serverMessage || '';
+        this.body = details.body ?? null;
+        this.type = details.type ?? null;
+        this.title = details.title ?? null;
+        this.detail = details.detail ?? null;
+        this.instance = details.instance ?? null;
+        this.errors = details.errors ?? null;
+        this.traceId = details.traceId ?? null;
+        this.isTimeout = !!details.isTimeout;
+        this.isNetworkError = !!details.isNetworkError;
+    }
+
+    get isForbidden() {
+        return this.status === 403;
+    }
+}
+
+class AssetApiClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl]
+     * @param {number} [options.timeoutMs]
+     * @param {function():(string|null|Promise<string|null>)} [options.getAccessToken]
+     * @param {function(ApiError):Promise<boolean>} [options.onUnauthorized] - Called on a 401; resolve true to replay the request once
+     */
+    constructor(options = {}) {
+        const base = options.baseUrl ?? `${APP_CONFIG.apiOrigin}${APP_CONFIG.apiPath}`;
+        this.baseUrl = String(base).replace(/\/+$/, '');
+        this.timeoutMs = options.timeoutMs ?? APP_CONFIG.requestTimeoutMs;
+        this.getAccessToken = options.getAccessToken || (() => localStorage.getItem('accessToken'));
+        this.onUnauthorized = options.onUnauthorized || null;
+    }
+
+    /**
+     * Sends a request and returns the normalized response body:
+     * JSON as parsed, plain text as { message }, 204 as { __noContent: true }, empty as {}.
+     * @param {string} path - Path relative to baseUrl (e.g. '/AssetHierarchy/GetByParentId')
+     * @param {{method?:string, body?:any, headers?:Object, auth?:boolean, timeoutMs?:number, signal?:AbortSignal, isRetry?:boolean}} [options]
+     * @returns {Promise<any>}
+     * @throws {ApiError}
+     */
+    async request(path, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const url = `${this.baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
+        const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+        if (options.auth !== false) {
+            const token = await this.getAccessToken();
+            if (token) headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        // Abort on timeout, and also when the caller's own signal aborts
+        const controller = new AbortController();
+        const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+        let timedOut = false;
+        const timer = timeoutMs > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        let response;
+        let body;
+        try {
+            response = await fetch(url, {
+                method,
+                headers,
+                body: options.body === undefined ? undefined : JSON.stringify(options.body),
+                credentials: 'include',
+                signal: controller.signal
+            });
+            body = await AssetApiClient.readBody(response);
+        } catch (err) {
+            if (timedOut) {
+                throw new ApiError(`Request timed out after ${timeoutMs / 1000} seconds`, { method, url, isTimeout: true });
+            }
+            // Caller-initiated aborts propagate untouched
+            if (err && err.name === 'AbortError') throw err;
+            throw new ApiError('Network error: could not reach the server', { method, url, isNetworkError: true });
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const error = AssetApiClient.toError(response, body, method, url);
+            // Expired/invalid token: let the session refresh it and replay exactly once
+            if (response.status === 401 && options.auth !== false && !options.isRetry && this.onUnauthorized) {
+                if (await this.onUnauthorized(error)) {
+                    return this.request(path, { ...options, isRetry: true });
+                }
+            }
+            throw error;
+        }
+        if (response.status === 204) return { __noContent: true };
+        if (body === null) return {};
+        if (typeof body === 'string') return { message: body };
+        return body;
+    }
+
+    get(path, options = {}) {
+        return this.request(path, { ...options, method: 'GET' });
+    }
+
+    post(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'POST', body });
+    }
+
+    put(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'PUT', body });
+    }
+
+    delete(path, options = {}) {
+        return this.request(path, { ...options, method: 'DELETE' });
+    }
+
+    /**
+     * Reads a response body as JSON when declared (or when it parses), else as text.
+     * @returns {Promise<any>} Parsed JSON, a string, or null when there is no body
+     */
+    static async readBody(response) {
+        if (response.status === 204 || response.status === 205) return null;
+        const text = await response.text().catch(() => '');
+        if (!text) return null;
+        const contentType = (response.headers.get('content-type') || '').toLowerCase();
+        if (contentType.includes('json')) {
+            try { return JSON.parse(text); } catch (_) { return text; }
+        }
+        return text;
+    }
+
+    /**
+     * Builds an ApiError from a failed response, pulling the most useful
+     * message out of ProblemDetails, ASP.NET Identity error arrays or plain text.
+     */
+    static toError(response, body, method, url) {
+        const details = { status: response.status, statusText: response.statusText, method, url, body };
+        let serverMessage = '';
+
+        if (typeof body === 'string') {
+            serverMessage = body.trim().replace(/^"|"$/g, '');
+        } else if (Array.isArray(body)) {
+            serverMessage = body.map(e => e?.description || e?.Description || e?.message || String(e)).join(' ');
+        } else if (body && typeof body === 'object') {
+            details.type = body.type ?? null;
+            details.title = body.title ?? null;
+            details.detail = body.detail ?? null;
+            details.instance = body.instance ?? null;
+            details.errors = body.errors ?? null;
+            details.traceId = body.traceId ?? null;
+            serverMessage = body.detail || body.message || body.Message || body.error || body.title || '';
+            if (details.errors && typeof details.errors === 'object' && !body.detail) {
+                const first = Object.values(details.errors).flat().filter(Boolean);
+                if (first.length) serverMessage = first.join(' ');
+            }
+        }
+
+        details.serverMessage = String(serverMessage || '');
+        let message = details.serverMessage || `API error: ${response.status} ${response.statusText}`.trim();
+        if (response.status === 403) {
+            // Forbidden usually has no body; say plainly that it is a role problem
+            message = `You don't have permission to do this${details.serverMessage ? ` (${details.serverMessage})` : ''}. Ask an administrator if you need access.`;
+        }
+        return new ApiError(message, details);
+    }
+}
+
+// Default client used by every screen; tokens come from AuthSession (js/auth-session.js)
+const apiClient = new AssetApiClient({
+    getAccessToken: () => AuthSession.getValidAccessToken(),
+    onUnauthorized: () => AuthSession.handleUnauthorized()
+});
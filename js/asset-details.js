@@ -0,0 +1,323 @@
+// asset-details.js - Side panel showing the selected #assetTree asset with inline editing
+
+const ASSET_NAME_MAX_LENGTH = 100;
+
+// Keys already shown as dedicated fields; everything else the backend returns is listed under "More"
+const ASSET_DETAILS_KNOWN_KEYS = ['id', 'name', 'parentid', 'children', 'childrens'];
+
+class AssetDetailsPanel {
+    static init() {
+        const panel = document.getElementById('assetDetailsPanel');
+        const form = document.getElementById('assetDetailsForm');
+        if (!panel || !form) return;
+        AssetDetailsPanel._panel = panel;
+        AssetDetailsPanel._form = form;
+
+        form.addEventListener('input', () => AssetDetailsPanel.updateDirtyState());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            AssetDetailsPanel.save();
+        });
+        document.getElementById('assetDetailsRevert').addEventListener('click', () => AssetDetailsPanel.revert());
+        document.getElementById('assetDetailsClose').addEventListener('click', () => AssetDetailsPanel.close());
+
+        window.addEventListener('beforeunload', (e) => {
+            if (AssetDetailsPanel.isDirty()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    /**
+     * Opens the panel for a jsTree node. If the current asset has unsaved edits the user
+     * is asked first, and the previous selection is restored if they keep editing.
+     */
+    static show(node) {
+        if (!AssetDetailsPanel._panel || !node) return;
+        const tree = $('#assetTree').jstree(true);
+        const current = AssetDetailsPanel._current;
+        if (current && current.nodeId !== node.id && AssetDetailsPanel.isDirty()) {
+            if (!confirm(`Discard unsaved changes to "${current.name}"?`)) {
+                tree.deselect_all(true);
+                tree.select_node(current.nodeId, true);
+                return;
+            }
+        }
+
+        const assetId = getNodeAssetId(node);
+        const raw = node.data?.asset || node.original?.data?.asset || {};
+        AssetDetailsPanel._current = {
+            nodeId: node.id,
+            assetId,
+            name: node.text,
+            parentId: getNodeParentAssetId(tree, node),
+            isRoot: node.parent === '#',
+            raw
+        };
+
+        const form = AssetDetailsPanel._form;
+        AssetDetailsPanel.setField('id', assetId ?? '-');
+        AssetDetailsPanel.setField('path', tree.get_path(node, ' › ') || node.text);
+        AssetDetailsPanel.renderChildCount(node, assetId);
+        AssetDetailsPanel.renderExtraFields(raw);
+
+        form.assetName.value = node.text;
+        form.parentId.value = node.parent === '#' ? '' : String(AssetDetailsPanel._current.parentId);
+        // Root assets can't be renamed or moved (same rule as the context menu), nor can roles without the capability
+        form.assetName.disabled = AssetDetailsPanel._current.isRoot || !Permissions.can('assets.rename');
+        form.parentId.disabled = AssetDetailsPanel._current.isRoot || !Permissions.can('assets.move');
+        form.parentId.placeholder = AssetDetailsPanel._current.isRoot ? 'Root asset' : '';
+        AssetDetailsPanel.clearErrors();
+        AssetDetailsPanel.setStatus('');
+        AssetDetailsPanel.updateDirtyState();
+
+        AssetDetailsPanel._panel.hidden = false;
+        AssetDetailsPanel._panel.closest('.tree-stats-layout')?.classList.add('details-open');
+    }
+
+    /**
+     * @param {boolean} [force] - Close without asking about unsaved changes
+     * @param {boolean} [keepSelection] - Leave the tree selection alone (it is changing anyway)
+     * @returns {boolean} false when the user chose to keep editing
+     */
+    static close(force = false, keepSelection = false) {
+        if (!AssetDetailsPanel._panel || AssetDetailsPanel._panel.hidden) return true;
+        if (!force && AssetDetailsPanel.isDirty() && !confirm('Discard unsaved changes?')) return false;
+        AssetDetailsPanel._current = null;
+        AssetDetailsPanel._panel.hidden = true;
+        AssetDetailsPanel._panel.closest('.tree-stats-layout')?.classList.remove('details-open');
+        const tree = $('#assetTree').jstree(true);
+        if (tree && !force && !keepSelection) tree.deselect_all(true);
+        return true;
+    }
+
+    static setField(field, value) {
+        const el = AssetDetailsPanel._panel.querySelector(`[data-field="${field}"]`);
+        if (el) el.textContent = String(value);
+    }
+
+    static setStatus(text, type = '') {
+        const el = document.getElementById('assetDetailsStatus');
+        if (!el) return;
+        el.textContent = text;
+        el.className = `asset-details-status ${type}`.trim();
+    }
+
+    /**
+     * Child count comes from the tree when the node is loaded (and not paged), then the hierarchy index,
+     * and only as a last resort from a GetByParentId call
+     */
+    static async renderChildCount(node, assetId) {
+        const tree = $('#assetTree').jstree(true);
+        if (tree.is_loaded(node) && !TreePaging.hasMore(tree, node)) {
+            AssetDetailsPanel.setField('childCount', node.children.length);
+            return;
+        }
+        const record = HierarchyIndex.records?.get(assetId);
+        if (record) {
+            AssetDetailsPanel.setField('childCount', record.childIds.length);
+            return;
+        }
+        AssetDetailsPanel.setField('childCount', '…');
+        try {
+            const children = await fetchAssetsByParentId(assetId);
+            if (AssetDetailsPanel._current?.assetId !== assetId) return;
+            AssetDetailsPanel.setField('childCount', Array.isArray(children) ? children.length : 0);
+        } catch (err) {
+            if (AssetDetailsPanel._current?.assetId === assetId) AssetDetailsPanel.setField('childCount', '-');
+        }
+    }
+
+    static renderExtraFields(raw) {
+        const wrap = document.getElementById('assetDetailsExtra');
+        if (!wrap) return;
+        wrap.innerHTML = '';
+        const entries = Object.entries(raw).filter(([key]) => !ASSET_DETAILS_KNOWN_KEYS.includes(key.toLowerCase()));
+        if (!entries.length) return;
+
+        const title = document.createElement('div');
+        title.className = 'asset-details-subtitle';
+        title.textContent = 'More';
+        const dl = document.createElement('dl');
+        dl.className = 'asset-details-meta';
+        entries.forEach(([key, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = key;
+            const dd = document.createElement('dd');
+            dd.textContent = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '-');
+            dl.appendChild(dt);
+            dl.appendChild(dd);
+        });
+        wrap.appendChild(title);
+        wrap.appendChild(dl);
+    }
+
+    static readForm() {
+        const form = AssetDetailsPanel._form;
+        return { name: form.assetName.value.trim(), parentId: form.parentId.value.trim() };
+    }
+
+    static isDirty() {
+        const current = AssetDetailsPanel._current;
+        if (!current || current.isRoot) return false;
+        const values = AssetDetailsPanel.readForm();
+        return values.name !== current.name || values.parentId !== String(current.parentId);
+    }
+
+    static updateDirtyState() {
+        const dirty = AssetDetailsPanel.isDirty();
+        document.getElementById('assetDetailsSave').disabled = !dirty || AssetDetailsPanel._saving;
+        document.getElementById('assetDetailsRevert').disabled = !dirty || AssetDetailsPanel._saving;
+        AssetDetailsPanel._panel.classList.toggle('dirty', dirty);
+        if (dirty) AssetDetailsPanel.setStatus('Unsaved changes', 'warning');
+        else if (!AssetDetailsPanel._saving) AssetDetailsPanel.setStatus('');
+    }
+
+    static revert() {
+        const current = AssetDetailsPanel._current;
+        if (!current) return;
+        AssetDetailsPanel._form.assetName.value = current.name;
+        AssetDetailsPanel._form.parentId.value = String(current.parentId);
+        AssetDetailsPanel.clearErrors();
+        AssetDetailsPanel.updateDirtyState();
+    }
+
+    static setError(input, msg) {
+        const err = input.closest('.form-group')?.querySelector('.field-error');
+        if (err) err.textContent = msg;
+        input.setAttribute('aria-invalid', 'true');
+    }
+
+    static clearErrors() {
+        AssetDetailsPanel._form.querySelectorAll('.field-error').forEach(el => el.textContent = '');
+        AssetDetailsPanel._form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+    }
+
+    /**
+     * @returns {boolean} true when the form can be saved
+     */
+    static validate(values) {
+        const form = AssetDetailsPanel._form;
+        const current = AssetDetailsPanel._current;
+        const tree = $('#assetTree').jstree(true);
+        let ok = true;
+        AssetDetailsPanel.clearErrors();
+
+        if (!values.name) {
+            AssetDetailsPanel.setError(form.assetName, 'Name is required');
+            ok = false;
+        } else if (values.name.length > ASSET_NAME_MAX_LENGTH) {
+            AssetDetailsPanel.setError(form.assetName, `Name must be at most ${ASSET_NAME_MAX_LENGTH} characters`);
+            ok = false;
+        }
+
+        const parentId = Number(values.parentId);
+        if (!/^\d+$/.test(values.parentId) || parentId <= 0) {
+            AssetDetailsPanel.setError(form.parentId, 'Parent ID must be a positive whole number');
+            return false;
+        }
+        if (parentId === current.assetId) {
+            AssetDetailsPanel.setError(form.parentId, 'An asset cannot be its own parent');
+            return false;
+        }
+
+        // Moving under one of its own descendants would create a cycle
+        const records = HierarchyIndex.records;
+        const parentNode = tree.get_node(`node_${parentId}`);
+        if (records) {
+            if (!records.has(parentId)) {
+                AssetDetailsPanel.setError(form.parentId, `No asset with ID ${parentId}`);
+                return false;
+            }
+            if (records.get(parentId).pathIds.includes(current.assetId)) {
+                AssetDetailsPanel.setError(form.parentId, 'Cannot move an asset under its own descendant');
+                return false;
+            }
+        } else if (parentNode && tree.get_path(parentNode, false, true).includes(current.nodeId)) {
+            AssetDetailsPanel.setError(form.parentId, 'Cannot move an asset under its own descendant');
+            return false;
+        }
+
+        // Duplicate names can only be checked against siblings the tree has already loaded
+        const siblingsParent = parentId === current.parentId ? tree.get_node(tree.get_node(current.nodeId).parent) : parentNode;
+        if (ok && siblingsParent && tree.is_loaded(siblingsParent)) {
+            const clash = siblingsParent.children
+                .map(id => tree.get_node(id))
+                .some(n => n && n.id !== current.nodeId && n.text.toLowerCase() === values.name.toLowerCase());
+            if (clash) {
+                AssetDetailsPanel.setError(form.assetName, `An asset named "${values.name}" already exists under that parent`);
+                ok = false;
+            }
+        }
+        return ok;
+    }
+
+    static async save() {
+        const current = AssetDetailsPanel._current;
+        if (!current || !AssetDetailsPanel.isDirty() || AssetDetailsPanel._saving) return;
+        const values = AssetDetailsPanel.readForm();
+        if (!AssetDetailsPanel.validate(values)) return;
+        if (EditOutbox.blocksDirectEdits('Saving the details')) return;
+
+        const tree = $('#assetTree').jstree(true);
+        const newParentId = Number(values.parentId);
+        const updateDto = {
+            Id: current.assetId,
+            OldParentId: current.parentId,
+            NewParentId: newParentId,
+            OldName: current.name,
+            NewName: values.name
+        };
+
+        AssetDetailsPanel._saving = true;
+        AssetDetailsPanel.updateDirtyState();
+        AssetDetailsPanel.setStatus('Saving…');
+        try {
+            await updateAssetNode(updateDto);
+            TreeHistory.record(TreeHistory.update({
+                assetId: current.assetId,
+                oldParentId: current.parentId,
+                newParentId,
+                oldName: current.name,
+                newName: values.name
+            }));
+            const node = tree.get_node(current.nodeId);
+            if (newParentId !== current.parentId) {
+                // Reload both parents from the server rather than moving the node locally,
+                // which would fire move_node.jstree and send the update a second time
+                const oldParentNode = node && node.parent !== '#' ? tree.get_node(node.parent) : null;
+                const newParentNode = tree.get_node(`node_${newParentId}`);
+                if (oldParentNode) tree.refresh_node(oldParentNode);
+                if (newParentNode && tree.is_loaded(newParentNode)) tree.refresh_node(newParentNode);
+            } else if (node) {
+                tree.rename_node(node, values.name);
+            }
+
+            current.name = values.name;
+            current.parentId = newParentId;
+            const parentNode = tree.get_node(`node_${newParentId}`);
+            const parentRecord = HierarchyIndex.records?.get(newParentId);
+            const parentPath = parentNode
+                ? tree.get_path(parentNode, ' › ')
+                : (parentRecord ? [...parentRecord.pathNames, parentRecord.name].join(' › ') : '');
+            AssetDetailsPanel.setField('path', parentPath ? `${parentPath} › ${values.name}` : values.name);
+            showNotification(`Saved changes to "${values.name}"`, 'success');
+            AssetDetailsPanel._saving = false;
+            AssetDetailsPanel.updateDirtyState();
+            AssetDetailsPanel.setStatus('Saved', 'success');
+        } catch (err) {
+            AssetDetailsPanel._saving = false;
+            AssetDetailsPanel.updateDirtyState();
+            AssetDetailsPanel.setStatus('Save failed: ' + (err?.message || err), 'error');
+            showNotification('Failed to update asset: ' + (err?.message || err), 'error');
+        }
+    }
+}
+
+AssetDetailsPanel._panel = null;
+AssetDetailsPanel._form = null;
+AssetDetailsPanel._current = null;
+AssetDetailsPanel._saving = false;
+
+document.addEventListener('DOMContentLoaded', () => AssetDetailsPanel.init());
@@ -1,37 +1,22 @@
 // asset-hierarchy-api.js - Functions to interact with the Asset Hierarchy API
-
-const API_BASE = 'https://localhost:7186/api';
+// HTTP details (auth header, timeouts, error shape) live in api-client.js
 
 /**
  * Fetches the asset hierarchy tree structure from the API
+ * @param {number|null} [parentId]
+ * @param {{skip:number, take:number}} [page] - One page of the children (backends with APP_CONFIG.childrenServerPaging)
  * @returns {Promise<Object>} The asset hierarchy tree structure
  */
-async function fetchAssetsByParentId(parentId = null) {
+async function fetchAssetsByParentId(parentId = null, page = null) {
     try {
-        const token = localStorage.getItem('accessToken');
-        
         // Build URL: if parentId is null, don't append anything; otherwise append /parentId
-        let url = `${API_BASE}/AssetHierarchy/GetByParentId`;
+        let path = '/AssetHierarchy/GetByParentId';
         if (parentId !== null && parentId !== undefined) {
-            url += `/${parentId}`;
+            path += `/${parentId}`;
         }
-        
-        console.log('Fetching from URL:', url);
-        
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            credentials: 'include'
-        });
-        
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
+        if (page) path += `?skip=${page.skip}&take=${page.take}`;
+
+        const data = await apiClient.get(path);
         console.log(`Assets retrieved for parent ID ${parentId}:`, data);
         return data;
     } catch (error) {
@@ -40,10 +25,158 @@ async function fetchAssetsByParentId(parentId = null) {
     }
 }
 
+/**
+ * jsTree loader: fetches the children of `obj` ('#' = root assets) and maps them to nodes
+ * @param {Object} obj - jsTree node being loaded
+ * @param {string} [idPrefix] - Prefix for node ids; other trees on the page use their own to keep DOM ids unique
+ * @returns {Promise<Object[]>} jsTree node definitions (empty on error)
+ */
+async function loadAssetTreeChildren(obj, idPrefix = 'node_') {
+    try {
+        // Root call (obj.id === '#') -> fetch root assets
+        let parentId = null;
+        if (obj.id !== '#') {
+            // For a non-root node, obj.id will be like 'node_6'
+            const match = String(obj.id).match(/_(\d+)$/);
+            parentId = obj.data?.assetId ?? (match ? Number(match[1]) : null);
+            if (parentId === null || parentId === undefined) return [];
+        }
+
+        // Served from ChildrenCache when it has a recent enough copy; wide branches come a page at a time
+        const { items, previousNode, moreNode } = await TreePaging.load(parentId, idPrefix);
+        const nodes = items.map(a => ({
+            id: `${idPrefix}${a.id}`,
+            text: a.name,
+            children: true,
+            data: { assetId: a.id, asset: a }
+        }));
+        return [...(previousNode ? [previousNode] : []), ...nodes, ...(moreNode ? [moreNode] : [])];
+    } catch (err) {
+        console.error('jsTree data loader error:', err);
+        return [];
+    }
+}
+
+// Capability each #assetTree context menu entry needs (see Permissions)
+const TREE_MENU_CAPABILITIES = {
+    Create: 'assets.create',
+    Rename: 'assets.rename',
+    Delete: 'assets.delete',
+    Import: 'assets.create'
+};
+
+/**
+ * Adds a child under `node`: creates a placeholder, lets the user type the name, then saves it.
+ * Used by the context menu and the Insert key.
+ */
+function addChildAsset(tree, node) {
+    // create_node on an unloaded parent loads it first and returns no id to edit; load it ourselves
+    if (!tree.is_loaded(node)) {
+        tree.load_node(node, () => addChildAsset(tree, node));
+        return;
+    }
+    tree.open_node(node);
+    const newNodeId = tree.create_node(node, { text: 'New Asset' }, 'last');
+    tree.edit(newNodeId, null, async function(updatedNode) {
+        try {
+            const parentBackendId = Number(node.data?.assetId ?? node.original?.data?.assetId ?? 0);
+            const outcome = await EditOutbox.submit({ type: 'create', parentId: parentBackendId, name: updatedNode.text });
+            if (outcome.queued) {
+                EditOutbox.adoptNode(tree, newNodeId, outcome.entry);
+                EditOutbox.notifyQueued(`"${updatedNode.text}"`);
+                return;
+            }
+            const assetId = outcome.result;
+            // Without the new id there is nothing to delete on undo
+            if (assetId !== null) {
+                const command = TreeHistory.create({ assetId, name: updatedNode.text, parentId: parentBackendId });
+                TreeHistory.record(command);
+                showNotification(`Created new asset "${updatedNode.text}"`, 'success', { actions: TreeHistory.undoActions(command) });
+            } else {
+                showNotification(`Created new asset "${updatedNode.text}"`, 'success');
+            }
+            // Refresh the node so server-assigned ids show up next time
+            try { tree.refresh_node(node); } catch(_) {}
+        } catch (err) {
+            showNotification('Failed to create node: ' + (err?.message || err), 'error');
+            try { tree.delete_node(newNodeId); } catch (_) {}
+        }
+    });
+}
+
+/**
+ * Inline rename of `node`, saved on commit and recorded for undo (context menu and F2)
+ */
+function renameAsset(tree, node) {
+    const oldName = node.text;
+    const idNum = Number(node.data?.assetId ?? node.original?.data?.assetId ?? 0);
+    tree.edit(node, null, async function(updatedNode) {
+        try {
+            const parentNode = tree.get_node(node.parent);
+            const backendParentId = Number(node.parent === '#' ? 0 : (parentNode?.data?.assetId ?? parentNode?.original?.data?.assetId ?? 0));
+            const updateDto = {
+                Id: idNum,
+                OldParentId: backendParentId,
+                NewParentId: backendParentId,
+                OldName: oldName,
+                NewName: updatedNode.text
+            };
+            if ((await EditOutbox.submit({ type: 'update', dto: updateDto })).queued) {
+                EditOutbox.notifyQueued(`Rename to "${updatedNode.text}"`);
+                return;
+            }
+            if (updatedNode.text !== oldName) {
+                const command = TreeHistory.update({
+                    assetId: idNum,
+                    oldParentId: backendParentId,
+                    newParentId: backendParentId,
+                    oldName,
+                    newName: updatedNode.text
+                });
+                TreeHistory.record(command);
+                showNotification(`Updated asset name to "${updatedNode.text}"`, 'success', { actions: TreeHistory.undoActions(command) });
+            } else {
+                showNotification(`Updated asset name to "${updatedNode.text}"`, 'success');
+            }
+        } catch (err) {
+            showNotification('Failed to update node: ' + (err?.message || err), 'error');
+            try { tree.rename_node(node, oldName); } catch (_) {}
+        }
+    });
+}
+
+/**
+ * Deletes `node` after a confirm (context menu and the Delete key)
+ */
+function deleteAssetWithConfirm(tree, node) {
+    const backendId = Number(node.data?.assetId ?? node.original?.data?.assetId ?? 0);
+    if (EditOutbox.isPendingAsset(backendId)) {
+        showNotification(`"${node.text}" has edits waiting to be saved; wait for them or discard them first`, 'warning');
+        return;
+    }
+    if (EditOutbox.blocksDirectEdits('Delete')) return;
+    if (!confirm('Are you sure you want to delete this node?')) return;
+    const parentBackendId = getNodeParentAssetId(tree, node);
+    deleteAssetNode(backendId).then(() => {
+        try { tree.delete_node(node); } catch (_) {}
+        const command = TreeHistory.remove({ assetId: backendId, name: node.text, parentId: parentBackendId });
+        TreeHistory.record(command);
+        showNotification(`Asset "${node.text}" deleted successfully`, 'success', { actions: TreeHistory.undoActions(command) });
+    }).catch(err => {
+        showNotification('Failed to delete node: ' + (err?.message || err), 'error');
+    });
+}
+
 /**
  * Initializes the tree with root node and sets up lazy loading of children
  */
 async function initializeAssetHierarchy() {
+    // Nodes are about to be recreated; don't keep showing a stale selection (unless it has unsaved edits)
+    if (!AssetDetailsPanel.close(false, true)) {
+        // The tree already drawn stays; anyone waiting for it (AssetSearch.showById) can go on
+        document.dispatchEvent(new CustomEvent('assets:tree-ready', { detail: { rebuilt: false } }));
+        return;
+    }
     if ($('#assetTree').data('jstree')) {
         $('#assetTree').jstree('destroy');
     }
@@ -55,120 +188,97 @@ async function initializeAssetHierarchy() {
                 $('#assetTree').jstree({
                     core: {
                         // Use a function so jsTree will call it for root and child loads
-                        data: async function(obj, callback) {
-                            try {
-                                // Root call (obj.id === '#') -> fetch root assets
-                                if (obj.id === '#') {
-                                    const roots = await fetchAssetsByParentId();
-                                    const nodes = (Array.isArray(roots) ? roots : []).map(a => ({
-                                        id: `node_${a.id}`,
-                                        text: a.name,
-                                        children: true,
-                                        data: { assetId: a.id }
-                                    }));
-                                    callback.call(this, nodes);
-                                    return;
-                                }
-
-                                // For a non-root node, obj.id will be like 'node_6'
-                                const match = String(obj.id).match(/node_(\d+)/);
-                                const parentId = match ? Number(match[1]) : (obj.data?.assetId ?? null);
-                                if (parentId === null || parentId === undefined) {
-                                    callback.call(this, []);
-                                    return;
-                                }
-
-                                const children = await fetchAssetsByParentId(parentId);
-                                const nodes = (Array.isArray(children) ? children : []).map(c => ({
-                                    id: `node_${c.id}`,
-                                    text: c.name,
-                                    children: true,
-                                    data: { assetId: c.id }
-                                }));
-                                callback.call(this, nodes);
-                            } catch (err) {
-                                console.error('jsTree data loader error:', err);
-                                callback.call(this, []);
-                            }
+                        // Edits still waiting in the outbox are laid over what the server returns
+                        data: function(obj, callback) {
+                            EditOutbox.loadChildren(obj).then(nodes => callback.call(this, nodes));
                         },
                         themes: { responsive: true, variant: 'large', stripes: false },
-                        check_callback: true
+                        // Paging nodes only ever move back to the ends of their own list (TreePaging.keepLast)
+                        check_callback: (operation, node, parent) => {
+                            if (TreePaging.isMoreNode(parent)) return false;
+                            return !TreePaging.isMoreNode(node) || (operation === 'move_node' && parent.id === node.parent);
+                        }
                     },
                     types: { default: { icon: 'jstree-icon jstree-file' } },
-                plugins: ['state', 'wholerow', 'dnd', 'types', 'contextmenu'],
+                plugins: ['state', 'wholerow', 'dnd', 'types', 'contextmenu', 'checkbox'],
+                // Checkboxes add to the selection for bulk actions; clicking a label still selects just that node
+                checkbox: { three_state: false, cascade: '', whole_node: false, keep_selected_style: true },
                 contextmenu: {
                     items: function(node) {
                         const tree = $('#assetTree').jstree(true);
+                        if (TreePaging.isMoreNode(node)) return {};
                         const isRoot = node.parent === '#';
+                        // Right-clicking inside a multi-selection offers the bulk actions instead
+                        const selected = tree.get_selected();
+                        if (selected.length > 1 && selected.includes(node.id)) {
+                            return TreeBulkOps.contextMenuItems();
+                        }
                         const items = {
                             Create: {
                                 label: 'Add Child',
-                                action: function() {
-                                    const newNodeId = tree.create_node(node, { text: 'New Asset' }, 'last');
-                                    tree.edit(newNodeId, null, async function(updatedNode) {
-                                        try {
-                                            const parentBackendId = Number(node.data?.assetId ?? node.original?.data?.assetId ?? 0);
-                                            await createAssetNode(parentBackendId, updatedNode.text);
-                                            showNotification(`Created new asset "${updatedNode.text}"`, 'success');
-                                            // Refresh the node so server-assigned ids show up next time
-                                            try { tree.refresh_node(node); } catch(_) {}
-                                        } catch (err) {
-                                            showNotification('Failed to create node: ' + (err?.message || err), 'error');
-                                            try { tree.delete_node(newNodeId); } catch (_) {}
-                                        }
-                                    });
-                                }
+                                shortcut_label: 'Ins',
+                                action: () => addChildAsset(tree, node)
                             },
                             Rename: {
                                 label: 'Rename',
+                                shortcut_label: 'F2',
                                 _disabled: isRoot,
-                                action: function() {
-                                    const oldName = node.text;
-                                    const idNum = Number(node.data?.assetId ?? node.original?.data?.assetId ?? 0);
-                                    tree.edit(node, null, async function(updatedNode) {
-                                        try {
-                                            const parentNode = tree.get_node(node.parent);
-                                            const backendParentId = Number(node.parent === '#' ? 0 : (parentNode?.data?.assetId ?? parentNode?.original?.data?.assetId ?? 0));
-                                            const updateDto = {
-                                                Id: idNum,
-                                                OldParentId: backendParentId,
-                                                NewParentId: backendParentId,
-                                                OldName: oldName,
-                                                NewName: updatedNode.text
-                                            };
-                                            await updateAssetNode(updateDto);
-                                            showNotification(`Updated asset name to "${updatedNode.text}"`, 'success');
-                                        } catch (err) {
-                                            showNotification('Failed to update node: ' + (err?.message || err), 'error');
-                                            try { tree.rename_node(node, oldName); } catch (_) {}
-                                        }
-                                    });
-                                }
+                                action: () => renameAsset(tree, node)
                             },
                             Delete: {
                                 label: 'Delete',
+                                shortcut_label: 'Del',
                                 _disabled: isRoot,
+                                action: () => deleteAssetWithConfirm(tree, node)
+                            },
+                            Import: {
+                                separator_before: true,
+                                label: 'Import into…',
+                                action: function() {
+                                    HierarchyImport.openDialog(node);
+                                }
+                            },
+                            Export: {
+                                // Keeps the separator when Import is filtered out
+                                separator_before: !Permissions.can('assets.create'),
+                                label: 'Export subtree…',
                                 action: function() {
-                                    if (!confirm('Are you sure you want to delete this node?')) return;
-                                    const backendId = Number(node.data?.assetId ?? node.original?.data?.assetId ?? 0);
-                                    deleteAssetNode(backendId).then(() => {
-                                        try { tree.delete_node(node); } catch (_) {}
-                                        showNotification(`Asset "${node.text}" deleted successfully`, 'success');
-                                    }).catch(err => {
-                                        showNotification('Failed to delete node: ' + (err?.message || err), 'error');
-                                    });
+                                    openExportDialog(node);
                                 }
                             }
                         };
-                        return items;
+                        return Permissions.filterMenu(items, TREE_MENU_CAPABILITIES);
                     }
-                }
+                },
+                // Only roles that may move assets can drag them
+                dnd: { is_draggable: (nodes) => Permissions.can('assets.move') && !nodes.some(TreePaging.isMoreNode) }
                 });
 
                 // Notify when tree is ready
                 $('#assetTree').on('ready.jstree', function() {
                     console.log('jsTree ready');
                     showNotification('Asset hierarchy loaded successfully', 'success');
+                    // Fill the stat cards (served from cache when fresh)
+                    HierarchyStats.refresh();
+                    // jsTree's own events stay on #assetTree; this one reaches document
+                    document.dispatchEvent(new CustomEvent('assets:tree-ready', { detail: { rebuilt: true } }));
+                });
+
+                // Show the details panel for a single selected asset; several selected -> bulk toolbar
+                $('#assetTree').on('changed.jstree', function(e, data) {
+                    TreeBulkOps.updateToolbar();
+                    // Selecting "Load more…" only loads the next page (TreePaging)
+                    if (data.action !== 'select_node' || TreePaging.isMoreNode(data.node)) return;
+                    if (data.selected.length === 1) {
+                        AssetDetailsPanel.show(data.node);
+                        return;
+                    }
+                    // Growing the selection (Ctrl+click) closes the panel; keep it if there are unsaved edits
+                    const editing = AssetDetailsPanel._current?.nodeId;
+                    if (!AssetDetailsPanel.close(false, true) && editing) {
+                        data.instance.deselect_all(true);
+                        data.instance.select_node(editing, true);
+                    }
                 });
 
                 // dblclick on node anchor -> open node (which triggers the core.data loader)
@@ -185,47 +295,34 @@ async function initializeAssetHierarchy() {
                     if (!tree.is_open(node)) {
                         tree.open_node(node);
                     } else {
+                        // An explicit refresh asks the server, not the cache
+                        ChildrenCache.invalidate(getNodeAssetId(node));
                         tree.refresh_node(node);
                     }
                 });
 
-                // Handle move (drag & drop)
-                let isRevertingMove = false;
-                $('#assetTree').off('move_node.jstree').on('move_node.jstree', async function(e, data) {
+                // Handle move (drag & drop). Dragging a multi-selection fires one move_node
+                // per node, so moves are gathered for a tick and sent as one bulk batch.
+                let pendingMoves = [];
+                $('#assetTree').off('move_node.jstree').on('move_node.jstree', function(e, data) {
                     if (isRevertingMove) return;
-                    const tree = $('#assetTree').jstree(true);
-                    // Prevent moving root nodes
-                    if (data && data.old_parent === '#') {
-                        showNotification('Root node cannot be moved', 'warning');
-                        isRevertingMove = true;
-                        try { tree.move_node(data.node, data.old_parent); } catch (_) {}
-                        isRevertingMove = false;
-                        return;
-                    }
-
-                    try {
-                        const movedNode = tree.get_node(data.node);
-                        const idNum = Number(movedNode?.data?.assetId ?? movedNode?.original?.data?.assetId ?? 0);
-                        const oldParentNode = data.old_parent === '#' ? null : tree.get_node(data.old_parent);
-                        const newParentNode = data.parent === '#' ? null : tree.get_node(data.parent);
-                        const oldParentId = Number(data.old_parent === '#' ? 0 : (oldParentNode?.data?.assetId ?? oldParentNode?.original?.data?.assetId ?? 0));
-                        const newParentId = Number(data.parent === '#' ? 0 : (newParentNode?.data?.assetId ?? newParentNode?.original?.data?.assetId ?? 0));
-                        const oldName = movedNode.original?.text || movedNode.text;
-                        const newName = movedNode.text;
-
-                        const moveDto = { Id: idNum, OldParentId: oldParentId, NewParentId: newParentId, OldName: oldName, NewName: newName };
-                        await updateAssetNode(moveDto);
-                        showNotification(`Moved asset "${movedNode.text}"`, 'success');
-                    } catch (err) {
-                        showNotification('Failed to move node: ' + (err?.message || err), 'error');
-                        isRevertingMove = true;
-                        try { $('#assetTree').jstree('move_node', data.node, data.old_parent); } catch (_) {}
-                        isRevertingMove = false;
-                    }
+                    pendingMoves.push(data);
+                    if (pendingMoves.length > 1) return;
+                    setTimeout(() => {
+                        const moves = pendingMoves;
+                        pendingMoves = [];
+                        if (moves.length > 1) TreeBulkOps.persistMoves(moves);
+                        else persistNodeMove(moves[0]);
+                    }, 0);
                 });
 
-        
-        
+                // "Load more…" / "Show previous…" (bound last: the off('move_node.jstree') above would drop it)
+                TreePaging.bind($('#assetTree'));
+                // Redraws recreate the anchors; put the queued-edit badges back on them
+                $('#assetTree').on('redraw.jstree after_open.jstree', () => EditOutbox.renderBadges());
+                // ...and the marker on nodes cut with Ctrl+X (TreeKeyboard)
+                $('#assetTree').on('redraw.jstree after_open.jstree', () => TreeKeyboard.renderCut());
+
     } catch (error) {
         console.error("Failed to initialize asset hierarchy:", error);
         $('#assetTree').html('<div class="error">Failed to load asset data: ' + error.message + '</div>');
@@ -233,6 +330,190 @@ async function initializeAssetHierarchy() {
     }
 }
 
+// Set while the UI moves a node on its own (e.g. undoing a failed move), so move_node.jstree doesn't persist it
+let isRevertingMove = false;
+
+/**
+ * Moves a node in #assetTree without sending the move to the server
+ * (used to put nodes back after a failed move, or to apply a move that is persisted separately)
+ */
+function moveNodeWithoutSaving(tree, node, parent, position) {
+    isRevertingMove = true;
+    try { tree.move_node(node, parent, position); } catch (_) {}
+    isRevertingMove = false;
+}
+
+/**
+ * Persists a single drag & drop move (move_node.jstree data), reverting it in the UI on failure
+ */
+async function persistNodeMove(data) {
+    const tree = $('#assetTree').jstree(true);
+    // Prevent moving root nodes
+    if (data && data.old_parent === '#') {
+        showNotification('Root node cannot be moved', 'warning');
+        moveNodeWithoutSaving(tree, data.node, data.old_parent, data.old_position);
+        return;
+    }
+
+    try {
+        const movedNode = tree.get_node(data.node);
+        const idNum = Number(movedNode?.data?.assetId ?? movedNode?.original?.data?.assetId ?? 0);
+        const oldParentNode = data.old_parent === '#' ? null : tree.get_node(data.old_parent);
+        const newParentNode = data.parent === '#' ? null : tree.get_node(data.parent);
+        const oldParentId = Number(data.old_parent === '#' ? 0 : (oldParentNode?.data?.assetId ?? oldParentNode?.original?.data?.assetId ?? 0));
+        const newParentId = Number(data.parent === '#' ? 0 : (newParentNode?.data?.assetId ?? newParentNode?.original?.data?.assetId ?? 0));
+        const oldName = movedNode.original?.text || movedNode.text;
+        const newName = movedNode.text;
+
+        const moveDto = { Id: idNum, OldParentId: oldParentId, NewParentId: newParentId, OldName: oldName, NewName: newName };
+        if ((await EditOutbox.submit({ type: 'update', dto: moveDto })).queued) {
+            EditOutbox.notifyQueued(`Move of "${movedNode.text}"`);
+            return;
+        }
+        // Reordering within the same parent isn't stored by the backend, so there is nothing to undo
+        if (oldParentId !== newParentId) {
+            const command = TreeHistory.update({ assetId: idNum, oldParentId, newParentId, oldName, newName });
+            TreeHistory.record(command);
+            showNotification(`Moved asset "${movedNode.text}"`, 'success', { actions: TreeHistory.undoActions(command) });
+        } else {
+            showNotification(`Moved asset "${movedNode.text}"`, 'success');
+        }
+    } catch (err) {
+        showNotification('Failed to move node: ' + (err?.message || err), 'error');
+        moveNodeWithoutSaving(tree, data.node, data.old_parent, data.old_position);
+    }
+}
+
+/**
+ * Backend id of a #assetTree node
+ * @returns {number|null}
+ */
+function getNodeAssetId(node) {
+    const id = node?.data?.assetId ?? node?.original?.data?.assetId;
+    return id === undefined || id === null ? null : Number(id);
+}
+
+/**
+ * Backend id of a node's parent; 0 for root nodes, as UpdateAsset expects
+ * @returns {number}
+ */
+function getNodeParentAssetId(tree, node) {
+    if (!node || node.parent === '#') return 0;
+    return getNodeAssetId(tree.get_node(node.parent)) ?? 0;
+}
+
+/**
+ * Expands #assetTree down to an asset (loading each level lazily) and selects it
+ * @param {number[]} pathIds - Backend ids from the root down to the asset itself
+ * @returns {Promise<Object>} The selected jsTree node
+ */
+async function revealAssetNode(pathIds) {
+    const tree = $('#assetTree').jstree(true);
+    if (!tree) throw new Error('Asset tree is not loaded');
+    if (!pathIds.length) throw new Error('No asset to show');
+
+    // Each level may be paged (TreePaging); draw pages until the next asset on the path shows up
+    let parent = tree.get_node('#');
+    for (const ancestorId of pathIds.slice(0, -1)) {
+        const node = await TreePaging.revealChild(tree, parent, ancestorId);
+        if (!node) throw new Error(`Asset ${ancestorId} is not in the tree`);
+        if (!tree.is_open(node)) {
+            // open_node's callback fires once the children have been loaded (or failed to)
+            await new Promise(resolve => tree.open_node(node, () => resolve(), false));
+        }
+        parent = node;
+    }
+
+    const target = await TreePaging.revealChild(tree, parent, pathIds[pathIds.length - 1]);
+    if (!target) throw new Error(`Asset ${pathIds[pathIds.length - 1]} is not in the tree`);
+    const targetId = target.id;
+    tree.deselect_all();
+    tree.select_node(target);
+    const anchor = document.getElementById(`${targetId}_anchor`);
+    if (anchor) anchor.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    return target;
+}
+
+/**
+ * Briefly highlights a node's label in #assetTree
+ * @param {string} nodeId - jsTree node id (e.g. 'node_6')
+ */
+function flashAssetNode(nodeId) {
+    const anchor = document.getElementById(`${nodeId}_anchor`);
+    if (!anchor) return;
+    anchor.classList.remove('asset-flash');
+    void anchor.offsetWidth; // restart the animation if it is already running
+    anchor.classList.add('asset-flash');
+    setTimeout(() => anchor.classList.remove('asset-flash'), 2500);
+}
+
+// SignalR broadcasts our own edits back to us. Each write registers the event it expects
+// so the live tree updates can skip it. An entry that isn't claimed within OWN_EDIT_ECHO_TTL_MS of
+// the request succeeding expires, so it can't swallow someone else's later event for the same asset.
+const OWN_EDIT_ECHO_TTL_MS = 5000;
+// Hub that broadcasts the asset events
+const OWN_EDIT_ECHO_HUB = 'Notifications';
+const ownEditEchoes = new Map();
+
+/**
+ * Registers an expected hub event for an edit about to be sent
+ * @param {string} key - e.g. "updated:12", "removed:12", "added:<parentId>:<lowercase name>", "added-id:12"
+ * @param {{name?: string, parentId?: number}} [expected] - What the event should carry; an event for the
+ *   same key with a different name or parent is someone else's
+ * @returns {{cancel:function(), sent:function()}} Call sent() once the request succeeded and cancel() when
+ *   no event will come (the request failed, or the server answered without changing anything)
+ */
+function expectOwnEditEcho(key, expected = null) {
+    // Until the request settles it may take up to the request timeout
+    const entry = { expires: Date.now() + (APP_CONFIG.requestTimeoutMs ?? 15000) + OWN_EDIT_ECHO_TTL_MS, expected };
+    if (!ownEditEchoes.has(key)) ownEditEchoes.set(key, []);
+    ownEditEchoes.get(key).push(entry);
+    const cancel = () => {
+        const list = ownEditEchoes.get(key);
+        if (list && list.includes(entry)) list.splice(list.indexOf(entry), 1);
+    };
+    return {
+        cancel,
+        sent: () => {
+            // A hub that isn't connected won't deliver the event at all
+            if (typeof HubConnectionManager === 'undefined' || HubConnectionManager.getState(OWN_EDIT_ECHO_HUB) !== 'connected') cancel();
+            else entry.expires = Math.min(entry.expires, Date.now() + OWN_EDIT_ECHO_TTL_MS);
+        }
+    };
+}
+
+/**
+ * Claims one expected echo for any of the keys
+ * @param {string[]} keys
+ * @param {Object} [event] - Payload of the hub event, checked against what the edit expected
+ * @returns {boolean} True when the event was caused by this page
+ */
+function consumeOwnEditEcho(keys, event = null) {
+    const now = Date.now();
+    const { name, parentId } = normalizeAsset(event);
+    const fits = entry => {
+        const expected = entry.expected;
+        if (!expected) return true;
+        if (expected.name !== undefined && name !== null && name.toLowerCase() !== String(expected.name).toLowerCase()) return false;
+        // 0 and null both mean the root level; an event without a parent id can't be told apart
+        return expected.parentId === undefined || parentId === null || (parentId || null) === (Number(expected.parentId) || null);
+    };
+    for (const key of keys) {
+        const list = (ownEditEchoes.get(key) || []).filter(entry => entry.expires > now);
+        const index = list.findIndex(fits);
+        if (index >= 0) list.splice(index, 1);
+        if (list.length) ownEditEchoes.set(key, list);
+        else ownEditEchoes.delete(key);
+        if (index >= 0) return true;
+    }
+    return false;
+}
+
+// Events the hub misses while it is down won't come later
+document.addEventListener('hub:state', (e) => {
+    if (e.detail.name === OWN_EDIT_ECHO_HUB && e.detail.state !== 'connected') ownEditEchoes.clear();
+});
+
 /**
  * Creates a new asset node in the hierarchy
  * @param {number} parentId - The ID of the parent node
@@ -240,76 +521,70 @@ async function initializeAssetHierarchy() {
  * @returns {Promise<Object>} The created asset node
  */
 async function createAssetNode(parentId, name) {
+    const echo = expectOwnEditEcho(`added:${parentId}:${String(name).toLowerCase()}`);
     try {
-        const token = localStorage.getItem('accessToken');
-        const response = await fetch(`${API_BASE}/AssetHierarchy/InsertAsset`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            body: JSON.stringify({
-                parentId: parentId,
-                name: name
-            }),
-            credentials: 'include'
-        });
-        
-        if (!response.ok) {
-            // Try to surface server text for easier debugging
-            const errText = await response.text().catch(() => '');
-            const msg = errText ? `${response.status} ${response.statusText}: ${errText}` : `${response.status} ${response.statusText}`;
-            throw new Error(`API error: ${msg}`);
-        }
-
-        // Some backends return plain text (e.g., "Asset Pushed") or empty body
-        const contentType = (response.headers.get('content-type') || '').toLowerCase();
-        if (contentType.includes('application/json')) {
-            return await response.json();
-        } else {
-            const text = await response.text().catch(() => '');
-            // Return a normalized object so callers can proceed without parsing errors
-            return text ? { message: text } : {};
-        }
+        // Some backends return plain text (e.g., "Asset Pushed"); the client normalizes it to { message }
+        const result = await apiClient.post('/AssetHierarchy/InsertAsset', { parentId: parentId, name: name });
+        echo.sent();
+        ChildrenCache.invalidate(parentId);
+        return result;
     } catch (error) {
+        echo.cancel();
         console.error("Error creating asset node:", error);
         throw error;
     }
 }
 
+/**
+ * Ids of the current children of an asset: the fresh ChildrenCache list when there is one, else GetByParentId
+ * @returns {Promise<Set<number>>}
+ */
+async function fetchChildAssetIds(parentId) {
+    const children = ChildrenCache.peek(parentId || null) || await fetchAssetsByParentId(parentId);
+    return new Set((Array.isArray(children) ? children : []).map(c => normalizeAsset(c).id).filter(id => id !== null));
+}
+
+/**
+ * Creates an asset and works out its new id. InsertAsset may answer with just a message,
+ * in which case the new id is the one child with this name that wasn't under the parent before.
+ * @param {number} parentId
+ * @param {string} name
+ * @param {Set<number>} [knownChildIds] - Children of parentId before the insert; fetchChildAssetIds when omitted
+ * @returns {Promise<number|null>} The new asset id, or null when it could not be identified
+ */
+async function createAssetNodeWithId(parentId, name, knownChildIds = null) {
+    // Taken before the insert invalidates the cached list (no request while that list is fresh)
+    const known = knownChildIds || await fetchChildAssetIds(parentId);
+    const response = await createAssetNode(parentId, name);
+    const direct = normalizeAsset(response);
+    if (direct.id !== null && !response?.__noContent) return direct.id;
+
+    const children = await fetchAssetsByParentId(parentId);
+    const candidates = (Array.isArray(children) ? children : [])
+        .map(normalizeAsset)
+        .filter(c => c.id !== null && !known.has(c.id) && (c.name ?? '').toLowerCase() === name.toLowerCase())
+        .map(c => c.id);
+    // Someone else may have added one with the same name meanwhile; don't guess which is ours
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
 /**
  * Updates an asset node using a composite DTO (rename and/or move)
  * @param {{Id:number, OldParentId:number, NewParentId:number, OldName?:string, NewName?:string}} updateDto
  * @returns {Promise<Object>} API response (JSON or {message})
  */
 async function updateAssetNode(updateDto) {
+    const echo = expectOwnEditEcho(`updated:${updateDto.Id}`, { name: updateDto.NewName, parentId: updateDto.NewParentId });
     try {
-        const token = localStorage.getItem('accessToken');
-        const response = await fetch(`${API_BASE}/AssetHierarchy/UpdateAsset`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            // Send DTO with PascalCase keys to match server DTO if required
-            body: JSON.stringify(updateDto),
-            credentials: 'include'
-        });
-        
-        if (!response.ok) {
-            const errText = await response.text().catch(() => '');
-            const msg = errText ? `${response.status} ${response.statusText}: ${errText}` : `${response.status} ${response.statusText}`;
-            throw new Error(`API error: ${msg}`);
-        }
-        
-        const contentType = (response.headers.get('content-type') || '').toLowerCase();
-        if (contentType.includes('application/json')) {
-            return await response.json();
-        } else {
-            const text = await response.text().catch(() => '');
-            return text ? { message: text } : {};
-        }
+        // Send DTO with PascalCase keys to match server DTO if required
+        const result = await apiClient.put('/AssetHierarchy/UpdateAsset', updateDto);
+        // Nothing changed, so nothing is broadcast
+        if (updateDto.OldParentId === updateDto.NewParentId && updateDto.OldName === updateDto.NewName) echo.cancel();
+        else echo.sent();
+        ChildrenCache.invalidate(updateDto.OldParentId, updateDto.NewParentId);
+        return result;
     } catch (error) {
+        echo.cancel();
         console.error("Error updating asset node:", error);
         throw error;
     }
@@ -321,23 +596,14 @@ async function updateAssetNode(updateDto) {
  * @returns {Promise<boolean>} True if deletion was successful
  */
 async function deleteAssetNode(id) {
+    const echo = expectOwnEditEcho(`removed:${id}`);
     try {
-        const token = localStorage.getItem('accessToken');
-        const response = await fetch(`${API_BASE}/AssetHierarchy/DeleteAsset/${id}`, {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            credentials: 'include'
-        });
-        
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
-        
+        await apiClient.delete(`/AssetHierarchy/DeleteAsset/${id}`);
+        echo.sent();
+        ChildrenCache.invalidateAsset(id);
         return true;
     } catch (error) {
+        echo.cancel();
         console.error("Error deleting asset node:", error);
         throw error;
     }
@@ -351,33 +617,10 @@ async function deleteAssetNode(id) {
  */
 async function moveAssetNode(id, newParentId) {
     try {
-        const token = localStorage.getItem('accessToken');
-        const response = await fetch(`${API_BASE}/AssetHierarchy/MoveAsset`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            body: JSON.stringify({
-                id: id,
-                newParentId: newParentId
-            }),
-            credentials: 'include'
-        });
-        
-        if (!response.ok) {
-            const errText = await response.text().catch(() => '');
-            const msg = errText ? `${response.status} ${response.statusText}: ${errText}` : `${response.status} ${response.statusText}`;
-            throw new Error(`API error: ${msg}`);
-        }
-        
-        const contentType = (response.headers.get('content-type') || '').toLowerCase();
-        if (contentType.includes('application/json')) {
-            return await response.json();
-        } else {
-            const text = await response.text().catch(() => '');
-            return text ? { message: text } : {};
-        }
+        const result = await apiClient.put('/AssetHierarchy/MoveAsset', { id: id, newParentId: newParentId });
+        ChildrenCache.invalidateAsset(id);
+        ChildrenCache.invalidate(newParentId);
+        return result;
     } catch (error) {
         console.error("Error moving asset node:", error);
         throw error;
@@ -390,22 +633,7 @@ async function moveAssetNode(id, newParentId) {
  */
 async function fetchDeletedAssets() {
     try {
-        const token = localStorage.getItem('accessToken');
-        
-        const response = await fetch(`${API_BASE}/AssetHierarchy/GetAllDeletedAssets`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            credentials: 'include'
-        });
-        
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
+        const data = await apiClient.get('/AssetHierarchy/GetAllDeletedAssets');
         console.log("Deleted assets data retrieved:", data);
         return data;
     } catch (error) {
@@ -421,23 +649,7 @@ async function fetchDeletedAssets() {
  */
 async function getAllCombinationsCount() {
     try {
-        const token = localStorage.getItem('accessToken');
-        const resp = await fetch(`${API_BASE}/AssetHierarchy/GetAllCombinationsCount`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            credentials: 'include'
-        });
-
-        if (!resp.ok) {
-            const errText = await resp.text().catch(() => '');
-            const cleanMsg = (errText || `API error: ${resp.status} ${resp.statusText}`).replace(/^"|"$/g, '');
-            throw new Error(cleanMsg);
-        }
-
-        const data = await resp.json();
+        const data = await apiClient.get('/AssetHierarchy/GetAllCombinationsCount');
         console.log("Combinations count retrieved:", data);
         
         // Backend returns { totalCombinations: number }
@@ -463,32 +675,8 @@ async function calculateAverage(columnName) {
         if (typeof columnName !== 'string' || !columnName.trim()) {
             throw new Error('Column name is required');
         }
-        const token = localStorage.getItem('accessToken');
-        const resp = await fetch(`${API_BASE}/AssetHierarchy/CalculateAverage`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            body: JSON.stringify(columnName.trim()), // server expects a raw string body
-            credentials: 'include'
-        });
-
-        const contentType = (resp.headers.get('content-type') || '').toLowerCase();
-
-        if (!resp.ok) {
-            const errText = contentType.includes('application/json')
-                ? JSON.stringify(await resp.json()).slice(0, 300)
-                : (await resp.text().catch(() => ''));
-            const cleanMsg = (errText || `API error: ${resp.status} ${resp.statusText}`).replace(/^"|"$/g, '');
-            throw new Error(cleanMsg);
-        }
-
-        if (contentType.includes('application/json')) {
-            return await resp.json();
-        }
-        const text = await resp.text().catch(() => '');
-        return text ? { message: text } : {};
+        // Server expects a raw JSON string body
+        return await apiClient.post('/AssetHierarchy/CalculateAverage', columnName.trim());
     } catch (error) {
         console.error('Error calculating average:', error);
         throw error;
@@ -614,14 +802,17 @@ async function initializeDeletedTree() {
 }
 
 /**
- * Builds Deleted Assets as responsive cards with a compact, read-only tree for Childrens
+ * Loads the deleted assets into the Recently Deleted section (DeletedAssetsPanel filters, sorts and draws them)
+ * @param {Object} [options]
+ * @param {boolean} [options.silent] - Background refresh (live updates): the cards stay up while loading
+ *   and nothing is notified; a failure keeps the cards already shown
  */
-async function initializeDeletedCards() {
+async function initializeDeletedCards({ silent = false } = {}) {
     try {
         const container = document.getElementById('deletedCards');
         if (!container) return;
 
-        container.innerHTML = '<div class="loading">Loading deleted assets...</div>';
+        if (!silent) container.innerHTML = '<div class="loading">Loading deleted assets...</div>';
 
         const response = await fetchDeletedAssets();
         // Accept both PascalCase and camelCase from API
@@ -629,165 +820,11 @@ async function initializeDeletedCards() {
             ? response.DeletedAssets
             : (Array.isArray(response?.deletedAssets) ? response.deletedAssets : []);
 
-        if (!deletedAssets.length) {
-            container.innerHTML = '<div class="empty-info">No assets to retrieve.</div>';
-            return;
-        }
-
-        // Helper to convert Asset model (Id, Name, Childrens) to jsTree flat nodes
-        function toJsTreeFromAsset(asset, parentId = '#') {
-            const nodes = [];
-            const id = String(
-                asset.Id ?? asset.AssetId ?? asset.id ?? asset.assetId ?? Math.random()
-            );
-            const name = asset.Name ?? asset.name ?? 'Unnamed';
-            const childrenArr = Array.isArray(asset.Childrens) ? asset.Childrens : (Array.isArray(asset.childrens) ? asset.childrens : []);
-
-            // compute total descendant count (all levels)
-            function getDescCount(a) {
-                const ch = Array.isArray(a.Childrens) ? a.Childrens : (Array.isArray(a.childrens) ? a.childrens : []);
-                let c = ch.length;
-                for (const cc of ch) c += getDescCount(cc);
-                return c;
-            }
-            const totalDesc = getDescCount(asset);
-            // Show empty parentheses when descendants exist, but omit numeric counts
-            const display = totalDesc > 0 ? `${name} ()` : name;
-
-            nodes.push({ id, parent: parentId, text: display, a_attr: { title: name } });
-
-            childrenArr.forEach(child => {
-                nodes.push(...toJsTreeFromAsset(child, id));
-            });
-
-            return nodes;
-        }
-
-        // Build cards markup
-        const frag = document.createDocumentFragment();
-        deletedAssets.forEach((da, idx) => {
-            const card = document.createElement('div');
-            card.className = 'deleted-card';
-
-            const header = document.createElement('div');
-            header.className = 'deleted-card-header';
-                        const daId = (da.AssetId ?? da.assetId);
-                        header.innerHTML = `
-                                <div class="deleted-title-wrap">
-                                    <h4 class="deleted-title">${da.Name || da.name || 'Deleted Asset'}</h4>
-                                </div>
-                                <div class="deleted-actions">
-                                    <span class="deleted-meta">Asset ID: ${daId}</span>
-                                    <button type="button" class="btn btn-sm btn-retrieve" data-id="${daId}">Retrieve</button>
-                                </div>
-                        `;
-
-            const parentsRow = document.createElement('div');
-            parentsRow.className = 'deleted-parents';
-            const parentIds = Array.isArray(da.ParentIds) ? da.ParentIds : (Array.isArray(da.parentIds) ? da.parentIds : []);
-            parentsRow.innerHTML = parentIds.length
-                ? parentIds.map(p => `<span class="parent-chip">Parent ${p}</span>`).join('')
-                : '<span class="deleted-meta">No parents</span>';
-
-            const treeWrap = document.createElement('div');
-            treeWrap.className = 'deleted-tree';
-
-            // Create unique container for jsTree
-            const treeEl = document.createElement('div');
-            const treeId = `deletedTree_${da.AssetId}_${idx}`;
-            treeEl.id = treeId;
-            treeWrap.appendChild(treeEl);
-
-            card.appendChild(header);
-            card.appendChild(parentsRow);
-            card.appendChild(treeWrap);
-            frag.appendChild(card);
-
-            // Prepare tree data from Childrens (Asset[])
-            const children = Array.isArray(da.Childrens) ? da.Childrens : (Array.isArray(da.childrens) ? da.childrens : []);
-            const treeData = children.length
-                ? children.flatMap(child => toJsTreeFromAsset(child))
-                : [];
-
-            if (treeData.length === 0) {
-                // Show an empty state instead of an empty tree
-                const emptyEl = document.createElement('div');
-                emptyEl.className = 'deleted-meta';
-                emptyEl.textContent = 'No children';
-                treeWrap.appendChild(emptyEl);
-            } else {
-                // Initialize a compact, read-only jsTree for this card
-                setTimeout(() => {
-                    const $el = $(`#${treeId}`);
-                    if (!$el.length) return;
-                    $el.jstree('destroy');
-                    $el.jstree({
-                        core: {
-                            data: treeData,
-                            check_callback: false,
-                            themes: { responsive: true, variant: 'large', stripes: false }
-                        },
-                        plugins: ['wholerow']
-                    }).on('ready.jstree', function() {
-                        $(this).jstree('open_all');
-                    });
-                }, 0);
-            }
-        });
-
-        container.innerHTML = '';
-        container.appendChild(frag);
-        // Bind retrieve handlers
-        container.querySelectorAll('.btn-retrieve').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const id = Number(e.currentTarget.getAttribute('data-id'));
-                const el = e.currentTarget;
-                const prevText = el.textContent;
-                // Lock button width to prevent layout shift when text changes
-                const prevWidth = el.offsetWidth;
-                el.style.width = prevWidth + 'px';
-                el.disabled = true;
-                el.textContent = 'Retrieving...';
-                try {
-                    const result = await retrieveDeletedAssetById(id);
-                    // Explicitly handle server 204 No Content sentinel
-                    if (result && result.__noContent) {
-                        showNotification('No content returned from server (204) — the asset may have already been retrieved or there is no additional data.', 'info');
-                    }
-                    // If backend returns informational message about parents
-                    else if (result && (result.Message || result.message)) {
-                        const msg = result.Message || result.message;
-                        const parents = result.ParentIds || result.parentIds;
-                        const note = result.Note || result.note;
-                        let mainMsg = msg;
-                        if (Array.isArray(parents) && parents.length) mainMsg += ` (Parents: ${parents.join(', ')})`;
-                        showNotification(mainMsg, 'warning');
-                        if (note) showNotification(note, 'info');
-                    } else {
-                        const assetName = result?.Name || result?.name || 'Asset';
-                        const assetId = result?.AssetId ?? result?.assetId ?? id;
-                        showNotification(`Retrieved ${assetName} (ID: ${assetId})`, 'success');
-                    }
-                    // Refresh cards
-                    await initializeDeletedCards();
-                } catch (err) {
-                    const raw = (err && err.message) ? err.message : 'Failed to retrieve asset';
-                    // Remove surrounding quotes if error is a JSON-stringified plain string
-                    const clean = raw.replace(/^\"|\"$/g, '').replace(/^"|"$/g, '');
-                    showNotification(clean, 'error');
-                } finally {
-                    // If the DOM hasn't been rebuilt yet, restore button state
-                    if (document.body.contains(el)) {
-                        el.disabled = false;
-                        el.textContent = prevText;
-                        el.style.width = '';
-                    }
-                }
-            });
-        });
-        showNotification('Deleted assets loaded', 'success');
+        DeletedAssetsPanel.setAssets(deletedAssets);
+        if (!silent) showNotification('Deleted assets loaded', 'success');
     } catch (error) {
         console.error('Error building deleted asset cards:', error);
+        if (silent) return;
         const container = document.getElementById('deletedCards');
         if (container) {
             container.innerHTML = '<div class="error">Failed to load deleted assets.</div>';
@@ -797,76 +834,225 @@ async function initializeDeletedCards() {
 }
 
 /**
- * Calls backend to retrieve a deleted asset by ID (moves it back to main tree on server)
- * Returns parsed JSON (could be DeletionAsset or an info object with Message/ParentIds)
+ * Builds the card for one deleted asset, with a compact, read-only tree for its Childrens
+ * @param {DeletionAsset} da
+ * @param {number} idx - Position on the page, keeps the card's tree id unique
+ * @returns {HTMLElement}
  */
-async function retrieveDeletedAssetById(id) {
-    try {
-        const token = localStorage.getItem('accessToken');      
-        const url = `${API_BASE}/AssetHierarchy/RetrieveDeletedAsset/${id}`;
-        const resp = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': token ? `Bearer ${token}` : ''
-            },
-            credentials: 'include'
+function buildDeletedCard(da, idx) {
+    // Helper to convert Asset model (Id, Name, Childrens) to jsTree flat nodes
+    function toJsTreeFromAsset(asset, parentId = '#') {
+        const nodes = [];
+        const id = String(
+            asset.Id ?? asset.AssetId ?? asset.id ?? asset.assetId ?? Math.random()
+        );
+        const name = asset.Name ?? asset.name ?? 'Unnamed';
+        const childrenArr = Array.isArray(asset.Childrens) ? asset.Childrens : (Array.isArray(asset.childrens) ? asset.childrens : []);
+
+        // Show empty parentheses when descendants exist, but omit numeric counts
+        const display = getDeletedDescendantCount(asset) > 0 ? `${name} ()` : name;
+
+        nodes.push({ id, parent: parentId, text: display, a_attr: { title: name } });
+
+        childrenArr.forEach(child => {
+            nodes.push(...toJsTreeFromAsset(child, id));
         });
-        // Quick toast for immediate visibility
-        showToast(`RetrieveDeletedAsset response for ID ${id}: ${resp.status} ${resp.statusText}`);
-        // Log full response and headers for debugging (helps determine if server sent no content)
-        console.log(`RetrieveDeletedAsset response for ID ${id}:`, resp);
-        try {
-            for (const pair of resp.headers.entries()) {
-                console.log(`RetrieveDeletedAsset header: ${pair[0]}: ${pair[1]}`);
-            }
-        } catch (hdrErr) {
-            console.warn('Could not enumerate response headers', hdrErr);
-        }
 
-        const contentType = (resp.headers.get('content-type') || '').toLowerCase();
+        return nodes;
+    }
+
+    const card = document.createElement('div');
+    card.className = 'deleted-card';
+
+    const header = document.createElement('div');
+    header.className = 'deleted-card-header';
+    const daId = (da.AssetId ?? da.assetId);
+    header.innerHTML = `
+            <div class="deleted-title-wrap">
+                <input type="checkbox" class="deleted-select" data-id="${daId}">
+                <h4 class="deleted-title"></h4>
+            </div>
+            <div class="deleted-actions">
+                <span class="deleted-meta">Asset ID: ${daId}</span>
+                <button type="button" class="btn btn-sm btn-retrieve" data-id="${daId}" data-requires="assets.restore">Retrieve</button>
+            </div>
+    `;
+    header.querySelector('.deleted-title').textContent = da.Name || da.name || 'Deleted Asset';
+    header.querySelector('.deleted-select').setAttribute('aria-label', `Select ${da.Name || da.name || `asset ${daId}`}`);
+
+    const parentsRow = document.createElement('div');
+    parentsRow.className = 'deleted-parents';
+    const parentIds = Array.isArray(da.ParentIds) ? da.ParentIds : (Array.isArray(da.parentIds) ? da.parentIds : []);
+    parentsRow.innerHTML = parentIds.length
+        ? parentIds.map(p => `<span class="parent-chip">Parent ${p}</span>`).join('')
+        : '<span class="deleted-meta">No parents</span>';
+    const deletedAt = DeletedAssetsPanel.deletedAt(da);
+    if (deletedAt !== null) {
+        const when = document.createElement('span');
+        when.className = 'deleted-meta';
+        when.textContent = `Deleted ${new Date(deletedAt).toLocaleString()}`;
+        parentsRow.appendChild(when);
+    }
+    // Copied under another parent while this original couldn't be purged (DeletedRestore.runPick)
+    const copied = DeletedRestore.copiedTo(Number(daId));
+    if (copied) {
+        const note = document.createElement('span');
+        note.className = 'deleted-meta deleted-copied-note';
+        note.textContent = `Already copied under ${copied.path}; retrieving this would bring back a duplicate`;
+        parentsRow.appendChild(note);
+    }
+
+    const treeWrap = document.createElement('div');
+    treeWrap.className = 'deleted-tree';
+
+    // Create unique container for jsTree
+    const treeEl = document.createElement('div');
+    const treeId = `deletedTree_${daId}_${idx}`;
+    treeEl.id = treeId;
+    treeWrap.appendChild(treeEl);
+
+    card.appendChild(header);
+    card.appendChild(parentsRow);
+    card.appendChild(treeWrap);
+
+    // Prepare tree data from Childrens (Asset[])
+    const children = Array.isArray(da.Childrens) ? da.Childrens : (Array.isArray(da.childrens) ? da.childrens : []);
+    const treeData = children.length
+        ? children.flatMap(child => toJsTreeFromAsset(child))
+        : [];
+
+    if (treeData.length === 0) {
+        // Show an empty state instead of an empty tree
+        const emptyEl = document.createElement('div');
+        emptyEl.className = 'deleted-meta';
+        emptyEl.textContent = 'No children';
+        treeWrap.appendChild(emptyEl);
+    } else {
+        // Initialize a compact, read-only jsTree for this card once it is in the page
+        setTimeout(() => {
+            const $el = $(`#${treeId}`);
+            if (!$el.length) return;
+            $el.jstree('destroy');
+            $el.jstree({
+                core: {
+                    data: treeData,
+                    check_callback: false,
+                    themes: { responsive: true, variant: 'large', stripes: false }
+                },
+                plugins: ['wholerow']
+            }).on('ready.jstree', function() {
+                $(this).jstree('open_all');
+            });
+        }, 0);
+    }
+    return card;
+}
+
+/**
+ * Total number of descendants (all levels) of a deleted asset
+ */
+function getDeletedDescendantCount(asset) {
+    const children = Array.isArray(asset.Childrens) ? asset.Childrens : (Array.isArray(asset.childrens) ? asset.childrens : []);
+    let count = children.length;
+    for (const child of children) count += getDeletedDescendantCount(child);
+    return count;
+}
 
-        // Handle explicit 204 No Content early: there is no body to parse.
-        if (resp.status === 204) {
-            console.info(`RetrieveDeletedAsset for ID ${id} returned 204 No Content`);
-            // Return an explicit shape so callers know this was a no-content success
-            return { __noContent: true };
+/**
+ * Retrieve button of a deleted card: restores the asset and reloads the cards
+ * @param {HTMLButtonElement} el
+ */
+async function retrieveDeletedCard(el) {
+    const id = Number(el.getAttribute('data-id'));
+    const copied = DeletedRestore.copiedTo(id);
+    if (copied && !confirm(`This asset was already copied under ${copied.path}. Retrieving it too leaves a duplicate. Retrieve anyway?`)) return;
+    const prevText = el.textContent;
+    // Lock button width to prevent layout shift when text changes
+    const prevWidth = el.offsetWidth;
+    el.style.width = prevWidth + 'px';
+    el.disabled = true;
+    el.textContent = 'Retrieving...';
+    try {
+        const result = await retrieveDeletedAssetById(id);
+        // Explicitly handle server 204 No Content sentinel
+        if (result && result.__noContent) {
+            showNotification('No content returned from server (204) — the asset may have already been retrieved or there is no additional data.', 'info');
+        }
+        // The original parent is gone: offer to restore it first or to pick another parent
+        else if (DeletedRestore.isParentMissing(result) && DeletedAssetsPanel._assets.some(da => DeletedAssetsPanel.idOf(da) === id)) {
+            await DeletedRestore.resolve(DeletedAssetsPanel._assets.find(da => DeletedAssetsPanel.idOf(da) === id), result);
         }
-        if (!resp.ok) {
-            const errText = contentType.includes('application/json')
-                ? JSON.stringify(await resp.json()).slice(0, 300)
-                : (await resp.text().catch(() => ''));
-            const cleanMsg = (errText || `API error: ${resp.status} ${resp.statusText}`).replace(/^"|"$/g, '');
-            console.error(`RetrieveDeletedAsset error for ID ${id}:`, errText);
-            // Show the server-provided error to the user
-            try { showToast(cleanMsg); } catch (_) {}
-            throw new Error(cleanMsg);
+        // If backend returns informational message about parents
+        else if (result && (result.Message || result.message)) {
+            const msg = result.Message || result.message;
+            const parents = result.ParentIds || result.parentIds;
+            const note = result.Note || result.note;
+            let mainMsg = msg;
+            if (Array.isArray(parents) && parents.length) mainMsg += ` (Parents: ${parents.join(', ')})`;
+            showNotification(mainMsg, 'warning');
+            if (note) showNotification(note, 'info');
+        } else {
+            const assetName = result?.Name || result?.name || 'Asset';
+            const assetId = result?.AssetId ?? result?.assetId ?? id;
+            showNotification(`Retrieved ${assetName} (ID: ${assetId})`, 'success');
         }
-        if (contentType.includes('application/json')) {
-            const body = await resp.json();
-            console.log(`RetrieveDeletedAsset body for ID ${id}:`, body);
-            return body;
+        // Refresh cards
+        await initializeDeletedCards();
+    } catch (err) {
+        showNotification(cleanRetrieveError(err), 'error');
+    } finally {
+        // If the DOM hasn't been rebuilt yet, restore button state
+        if (document.body.contains(el)) {
+            el.disabled = false;
+            el.textContent = prevText;
+            el.style.width = '';
         }
-        // non-JSON
-        const text = await resp.text().catch(() => '');
-        console.log(`RetrieveDeletedAsset text for ID ${id}:`, text);
-        return text ? { message: text } : {};
+    }
+}
+
+/**
+ * Message of a failed RetrieveDeletedAsset call, without the quotes a JSON-stringified plain string brings
+ */
+function cleanRetrieveError(err) {
+    const raw = (err && err.message) ? err.message : 'Failed to retrieve asset';
+    return raw.replace(/^\"|\"$/g, '').replace(/^"|"$/g, '');
+}
+
+/**
+ * Calls backend to retrieve a deleted asset by ID (moves it back to main tree on server)
+ * Returns parsed JSON (could be DeletionAsset or an info object with Message/ParentIds)
+ */
+async function retrieveDeletedAssetById(id) {
+    const echo = expectOwnEditEcho(`added-id:${id}`);
+    try {
+        // A 204 No Content comes back as { __noContent: true } so callers know there was no body
+        const body = await apiClient.get(`/AssetHierarchy/RetrieveDeletedAsset/${id}`);
+        console.log(`RetrieveDeletedAsset body for ID ${id}:`, body);
+        // A { Message, ParentIds } answer means nothing was restored
+        if (DeletedRestore.isParentMissing(body)) echo.cancel();
+        else echo.sent();
+        // The restored asset (and its subtree) may land under any parent
+        ChildrenCache.clear();
+        return body;
     } catch (error) {
+        echo.cancel();
         console.error(`RetrieveDeletedAsset exception for ID ${id}:`, error);
         throw error;
     }
 }
 
-
-  function showToast(msg){
-    let t = document.querySelector('.toast');
-    if(!t){
-      t = document.createElement('div');
-      t.className = 'toast';
-      Object.assign(t.style,{position:'fixed',right:'20px',top:'20px',padding:'10px 14px',background:'#111827',color:'#fff',borderRadius:'8px',boxShadow:'0 6px 18px rgba(2,6,23,.3)',zIndex:9999});
-      document.body.appendChild(t);
+/**
+ * Permanently removes a deleted asset (and its deleted subtree); it can't be retrieved afterwards
+ * @param {number} id - AssetId of the deleted asset
+ * @returns {Promise<boolean>} True if the purge was successful
+ */
+async function purgeDeletedAsset(id) {
+    if (!APP_CONFIG.purgeDeletedPath) throw new Error('Purging is not available (APP_CONFIG.purgeDeletedPath is not set)');
+    try {
+        await apiClient.delete(APP_CONFIG.purgeDeletedPath.replace('{id}', encodeURIComponent(id)));
+        return true;
+    } catch (error) {
+        console.error(`PurgeDeletedAsset exception for ID ${id}:`, error);
+        throw error;
     }
-    t.textContent = msg;
-    t.style.opacity = '1';
-    setTimeout(()=>{ t.style.transition = 'opacity 400ms'; t.style.opacity = '0'; }, 1800);
-  }
\ No newline at end of file
+}
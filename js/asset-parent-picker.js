@@ -0,0 +1,81 @@
+// asset-parent-picker.js - Modal with a browsable copy of the asset tree for choosing a parent
+
+class AssetParentPicker {
+    /**
+     * Opens the picker and resolves with the chosen asset.
+     * @param {Object} [options]
+     * @param {string} [options.title]
+     * @param {string} [options.message] - Extra explanation shown above the tree
+     * @param {string} [options.confirmLabel]
+     * @param {number[]} [options.excludeAssetIds] - These assets and everything below them can't be picked
+     * @returns {Promise<{assetId:number, name:string, path:string}|null>} null when cancelled
+     */
+    static pick(options = {}) {
+        const excluded = new Set((options.excludeAssetIds || []).map(Number));
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="app-dialog-body">
+                <h3 class="app-dialog-title"></h3>
+                <p class="app-dialog-message"></p>
+                <div class="parent-picker-tree"></div>
+                <div class="parent-picker-selection muted">No parent selected</div>
+                <div class="form-buttons">
+                    <button type="button" class="btn btn-sm btn-secondary" value="cancel">Cancel</button>
+                    <button type="submit" class="btn btn-sm" value="ok" disabled></button>
+                </div>
+            </form>
+        `;
+        dialog.querySelector('.app-dialog-title').textContent = options.title || 'Choose a parent asset';
+        const messageEl = dialog.querySelector('.app-dialog-message');
+        if (options.message) messageEl.textContent = options.message;
+        else messageEl.remove();
+        const confirmBtn = dialog.querySelector('button[value="ok"]');
+        confirmBtn.textContent = options.confirmLabel || 'Choose';
+        const selectionEl = dialog.querySelector('.parent-picker-selection');
+        const treeEl = dialog.querySelector('.parent-picker-tree');
+        document.body.appendChild(dialog);
+
+        let chosen = null;
+        const $tree = $(treeEl);
+        $tree.jstree({
+            core: {
+                // Same loader as #assetTree with its own id prefix; excluded subtrees are greyed out
+                data: function(obj, callback) {
+                    loadAssetTreeChildren(obj, 'pick_').then(nodes => {
+                        const parentDisabled = !!obj.state?.disabled;
+                        nodes.forEach(n => {
+                            if (TreePaging.isMoreNode(n)) return;
+                            if (parentDisabled || excluded.has(n.data.assetId)) n.state = { disabled: true };
+                        });
+                        callback.call(this, nodes);
+                    });
+                },
+                multiple: false,
+                themes: { responsive: true, variant: 'large', stripes: false }
+            },
+            types: { default: { icon: 'jstree-icon jstree-file' } },
+            plugins: ['wholerow', 'types']
+        }).on('changed.jstree', function(e, data) {
+            const node = data.node && data.selected.length ? data.node : null;
+            chosen = node
+                ? { assetId: getNodeAssetId(node), name: node.text, path: data.instance.get_path(node, ' › ') }
+                : null;
+            selectionEl.textContent = chosen ? `Selected: ${chosen.path}` : 'No parent selected';
+            confirmBtn.disabled = !chosen;
+        });
+        TreePaging.bind($tree);
+
+        return new Promise(resolve => {
+            dialog.querySelector('button[value="cancel"]').addEventListener('click', () => dialog.close('cancel'));
+            dialog.addEventListener('close', () => {
+                const result = dialog.returnValue === 'ok' ? chosen : null;
+                $tree.jstree('destroy');
+                dialog.remove();
+                resolve(result);
+            });
+            dialog.showModal();
+        });
+    }
+}
@@ -0,0 +1,257 @@
+// asset-search.js - Search box above #assetTree that finds assets anywhere in the hierarchy
+
+// Max results shown in the dropdown
+const ASSET_SEARCH_MAX_RESULTS = 50;
+const ASSET_SEARCH_DEBOUNCE_MS = 150;
+
+/**
+ * Scores how well `query` matches `text`, case-insensitively.
+ * Substring matches beat fuzzy (in-order subsequence) matches; earlier and tighter matches score higher.
+ * @returns {{score:number, indices:number[]}|null} Matched character positions, or null when there is no match
+ */
+function fuzzyMatch(query, text) {
+    const q = String(query).toLowerCase().trim();
+    const t = String(text).toLowerCase();
+    if (!q) return null;
+
+    const at = t.indexOf(q);
+    if (at !== -1) {
+        let score = 1000 - at;
+        if (at === 0) score += 500;
+        if (t.length === q.length) score += 500;
+        return { score, indices: Array.from({ length: q.length }, (_, i) => at + i) };
+    }
+
+    const indices = [];
+    let from = 0;
+    for (const ch of q) {
+        if (ch === ' ') continue;
+        const found = t.indexOf(ch, from);
+        if (found === -1) return null;
+        indices.push(found);
+        from = found + 1;
+    }
+    if (!indices.length) return null;
+    const gaps = indices[indices.length - 1] - indices[0] + 1 - indices.length;
+    return { score: 500 - gaps * 10 - indices[0], indices };
+}
+
+class AssetSearch {
+    static init() {
+        const input = document.getElementById('assetSearchInput');
+        const list = document.getElementById('assetSearchResults');
+        if (!input || !list) return;
+        AssetSearch._input = input;
+        AssetSearch._list = list;
+
+        let debounce = null;
+        input.addEventListener('input', () => {
+            clearTimeout(debounce);
+            debounce = setTimeout(() => AssetSearch.search(input.value), ASSET_SEARCH_DEBOUNCE_MS);
+        });
+        input.addEventListener('focus', () => {
+            // Start indexing early so the first query is fast
+            HierarchyIndex.load().catch(() => {});
+            if (input.value.trim()) AssetSearch.search(input.value);
+        });
+        input.addEventListener('keydown', (e) => AssetSearch.onKeyDown(e));
+        input.addEventListener('blur', () => {
+            // Let a click on a result land before hiding the list
+            setTimeout(() => AssetSearch.close(), 150);
+        });
+
+        // Keep open results in sync with live hierarchy changes
+        HierarchyIndex.onChange(() => {
+            if (!list.hidden && input.value.trim()) AssetSearch.search(input.value);
+        });
+    }
+
+    /**
+     * Runs a query against the hierarchy index (loading it first if needed) and renders the results
+     */
+    static async search(query) {
+        const q = String(query || '').trim();
+        if (!q) {
+            AssetSearch.close();
+            return;
+        }
+        if (!HierarchyIndex.records) {
+            AssetSearch.renderMessage('Indexing assets…');
+            try {
+                await HierarchyIndex.load();
+            } catch (err) {
+                AssetSearch.renderMessage('Search is unavailable: ' + (err?.message || err));
+                return;
+            }
+            // The user may have kept typing while we were indexing
+            if (AssetSearch._input.value.trim() !== q) return;
+        }
+
+        const results = [];
+        for (const record of HierarchyIndex.records.values()) {
+            let match = fuzzyMatch(q, record.name);
+            if (String(record.id) === q) match = { score: 3000, indices: match ? match.indices : [] };
+            if (match) results.push({ record, match });
+        }
+        results.sort((a, b) => b.match.score - a.match.score || a.record.depth - b.record.depth || a.record.name.localeCompare(b.record.name));
+        AssetSearch.renderResults(results.slice(0, ASSET_SEARCH_MAX_RESULTS), results.length);
+    }
+
+    static renderResults(results, total) {
+        const list = AssetSearch._list;
+        list.innerHTML = '';
+        AssetSearch._activeIndex = -1;
+        if (!results.length) {
+            AssetSearch.renderMessage('No matching assets');
+            return;
+        }
+
+        results.forEach(({ record, match }, i) => {
+            const li = document.createElement('li');
+            li.className = 'tree-search-result';
+            li.id = `assetSearchOption_${record.id}`;
+            li.setAttribute('role', 'option');
+            li.dataset.index = String(i);
+
+            const name = document.createElement('div');
+            name.className = 'tree-search-name';
+            const marked = new Set(match.indices);
+            Array.from(record.name).forEach((ch, pos) => {
+                if (marked.has(pos)) {
+                    const m = document.createElement('mark');
+                    m.textContent = ch;
+                    name.appendChild(m);
+                } else {
+                    name.appendChild(document.createTextNode(ch));
+                }
+            });
+
+            const path = document.createElement('div');
+            path.className = 'tree-search-path';
+            path.textContent = record.pathNames.length ? record.pathNames.join(' › ') : 'Root level';
+
+            li.appendChild(name);
+            li.appendChild(path);
+            // mousedown so the input's blur doesn't close the list first
+            li.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                AssetSearch.select(record);
+            });
+            list.appendChild(li);
+        });
+
+        if (total > results.length) {
+            const more = document.createElement('li');
+            more.className = 'tree-search-message';
+            more.textContent = `Showing ${results.length} of ${total} matches — refine your search`;
+            list.appendChild(more);
+        }
+        AssetSearch._results = results.map(r => r.record);
+        AssetSearch.open();
+    }
+
+    static renderMessage(text) {
+        const list = AssetSearch._list;
+        list.innerHTML = '';
+        const li = document.createElement('li');
+        li.className = 'tree-search-message';
+        li.textContent = text;
+        list.appendChild(li);
+        AssetSearch._results = [];
+        AssetSearch._activeIndex = -1;
+        AssetSearch.open();
+    }
+
+    static open() {
+        AssetSearch._list.hidden = false;
+        AssetSearch._input.setAttribute('aria-expanded', 'true');
+    }
+
+    static close() {
+        if (!AssetSearch._list) return;
+        AssetSearch._list.hidden = true;
+        AssetSearch._input.setAttribute('aria-expanded', 'false');
+        AssetSearch._input.removeAttribute('aria-activedescendant');
+    }
+
+    static onKeyDown(e) {
+        const results = AssetSearch._results || [];
+        if (e.key === 'Escape') {
+            AssetSearch.close();
+            return;
+        }
+        if (!results.length) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            AssetSearch.setActive((AssetSearch._activeIndex + step + results.length) % results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            AssetSearch.select(results[Math.max(AssetSearch._activeIndex, 0)]);
+        }
+    }
+
+    static setActive(index) {
+        AssetSearch._activeIndex = index;
+        AssetSearch._list.querySelectorAll('.tree-search-result').forEach(li => {
+            const active = Number(li.dataset.index) === index;
+            li.classList.toggle('active', active);
+            li.setAttribute('aria-selected', String(active));
+            if (active) {
+                AssetSearch._input.setAttribute('aria-activedescendant', li.id);
+                li.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Expands the tree down to the chosen asset and highlights it
+     */
+    static async select(record) {
+        AssetSearch.close();
+        try {
+            const node = await revealAssetNode([...record.pathIds, record.id]);
+            flashAssetNode(node.id);
+        } catch (err) {
+            showNotification(`Could not show "${record.name}": ` + (err?.message || err), 'error');
+        }
+    }
+
+    /**
+     * Shows an asset by id from anywhere (e.g. a notification's "View asset"), switching to the tree first
+     */
+    static async showById(assetId) {
+        try {
+            const records = await HierarchyIndex.load();
+            const record = records.get(Number(assetId));
+            if (!record) throw new Error('it is no longer in the hierarchy');
+            const section = document.getElementById('tree-section');
+            const nav = document.querySelector('.nav-item[data-section="tree-section"]');
+            if (section && !section.classList.contains('active') && nav) {
+                // Switching sections rebuilds the tree; wait for it (initializeAssetHierarchy announces it on document)
+                await new Promise((resolve, reject) => {
+                    const onReady = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                    const timer = setTimeout(() => {
+                        document.removeEventListener('assets:tree-ready', onReady);
+                        reject(new Error('the asset tree did not load'));
+                    }, APP_CONFIG.requestTimeoutMs);
+                    document.addEventListener('assets:tree-ready', onReady, { once: true });
+                    nav.click();
+                });
+            }
+            await AssetSearch.select(record);
+        } catch (err) {
+            showNotification(`Could not show asset ${assetId}: ` + (err?.message || err), 'error');
+        }
+    }
+}
+
+AssetSearch._input = null;
+AssetSearch._list = null;
+AssetSearch._results = [];
+AssetSearch._activeIndex = -1;
+
+document.addEventListener('DOMContentLoaded', () => AssetSearch.init());
@@ -0,0 +1,248 @@
+// auth-session.js - Access/refresh token storage and silent refresh
+
+// Refresh this long before the access token's exp so in-flight calls don't race the expiry
+const TOKEN_REFRESH_SKEW_MS = 60000; // 1 minute
+
+class AuthSession {
+    /**
+     * Decodes the payload of a JWT without validating it
+     * @param {string} token
+     * @returns {Object|null} Claims object, or null if the token is not a JWT
+     */
+    static decodeToken(token) {
+        try {
+            const part = String(token).split('.')[1];
+            if (!part) return null;
+            const base64 = part.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(part.length / 4) * 4, '=');
+            const json = decodeURIComponent(Array.from(atob(base64), c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+            return JSON.parse(json);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {number|null} Expiry of the token in epoch milliseconds, or null if it has no exp claim
+     */
+    static getExpiry(token) {
+        const claims = AuthSession.decodeToken(token);
+        return claims && typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+    }
+
+    /**
+     * A session worth trying: the access token is a JWT with an exp claim that hasn't passed,
+     * or it has passed but a refresh token can still renew it. Says nothing about the signature;
+     * only the backend can confirm that (see SessionGuard).
+     */
+    static hasUsableSession() {
+        const token = AuthSession.getAccessToken();
+        if (!token || token.split('.').length !== 3) return false;
+        const expiry = AuthSession.getExpiry(token);
+        if (expiry === null) return false;
+        return expiry > Date.now() || !!AuthSession.getRefreshToken();
+    }
+
+    /**
+     * Where the tokens live: sessionStorage (this tab only) when the user signed in without
+     * "Remember me", localStorage otherwise
+     * @returns {Storage}
+     */
+    static getStore() {
+        return sessionStorage.getItem('accessToken') ? sessionStorage : localStorage;
+    }
+
+    static getAccessToken() {
+        return AuthSession.getStore().getItem('accessToken');
+    }
+
+    static getRefreshToken() {
+        return AuthSession.getStore().getItem('refreshToken');
+    }
+
+    /**
+     * Persists tokens from a login/refresh response and re-arms the refresh timer.
+     * Accepts both { tokenResponse: {...} } and flat { accessToken, refreshToken } shapes.
+     * @param {Object} response
+     * @param {{remember?: boolean}} [options] - Set on login to pick the store; refreshes keep the current one
+     */
+    static storeTokens(response, options = {}) {
+        const tokens = response?.tokenResponse || response || {};
+        const accessToken = tokens.accessToken || tokens.AccessToken || null;
+        const refreshToken = tokens.refreshToken || tokens.RefreshToken || null;
+        let store = AuthSession.getStore();
+        if (options.remember !== undefined && accessToken) {
+            AuthSession.removeTokens();
+            store = options.remember ? localStorage : sessionStorage;
+        }
+        if (accessToken) store.setItem('accessToken', accessToken);
+        if (refreshToken) store.setItem('refreshToken', refreshToken);
+        if (AuthSession._timer) AuthSession.startAutoRefresh();
+        if (accessToken) document.dispatchEvent(new CustomEvent('auth:tokens'));
+        return accessToken;
+    }
+
+    /**
+     * Keeps the role(s) a login or /Auth/me response reported next to the tokens. Permissions only
+     * falls back to these when the access token carries no role claim.
+     * @param {string|string[]} roles
+     */
+    static storeRoles(roles) {
+        const list = (Array.isArray(roles) ? roles : [roles]).filter(Boolean).map(String);
+        if (list.length && AuthSession.getAccessToken()) AuthSession.getStore().setItem('userRoles', JSON.stringify(list));
+    }
+
+    /**
+     * @returns {string[]} Roles saved by storeRoles (empty when none)
+     */
+    static getStoredRoles() {
+        try {
+            const roles = JSON.parse(AuthSession.getStore().getItem('userRoles') || '[]');
+            return Array.isArray(roles) ? roles.map(String) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    static removeTokens() {
+        [localStorage, sessionStorage].forEach(store => {
+            store.removeItem('accessToken');
+            store.removeItem('refreshToken');
+            store.removeItem('userRoles');
+        });
+    }
+
+    static clear() {
+        AuthSession.removeTokens();
+        localStorage.removeItem('userData');
+        // Cached asset lists (ChildrenCache) belong to the signed-in user
+        sessionStorage.removeItem('childrenCache');
+        if (AuthSession._timer) {
+            clearTimeout(AuthSession._timer);
+            AuthSession._timer = null;
+        }
+    }
+
+    /**
+     * Signs out on the server too: revokes the refresh token and lets the response expire the
+     * server's session cookies (requests go out with credentials), then clears the local session.
+     * A failed call still signs out locally.
+     */
+    static async logout() {
+        const accessToken = AuthSession.getAccessToken();
+        try {
+            // Sent with auth: false so an already expired session isn't refreshed just to be revoked
+            await apiClient.post(APP_CONFIG.revokePath || '/Auth/revoke', { refreshToken: AuthSession.getRefreshToken() }, {
+                auth: false,
+                headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+                timeoutMs: APP_CONFIG.logoutTimeoutMs ?? 5000
+            });
+        } catch (err) {
+            console.warn('Server-side logout failed; signing out locally:', err);
+        } finally {
+            AuthSession.clear();
+        }
+    }
+
+    /**
+     * Returns the access token, refreshing it first when it is about to expire.
+     * Used by apiClient for every authenticated request.
+     */
+    static async getValidAccessToken() {
+        const token = AuthSession.getAccessToken();
+        if (!token) return null;
+        const expiry = AuthSession.getExpiry(token);
+        if (expiry === null || expiry - Date.now() > TOKEN_REFRESH_SKEW_MS) return token;
+        try {
+            return await AuthSession.refresh();
+        } catch (err) {
+            // Still usable for a few seconds: let the request go and let the 401 path decide
+            if (expiry > Date.now()) return token;
+            AuthSession.expire();
+            return null;
+        }
+    }
+
+    /**
+     * Exchanges the refresh token for a new access token.
+     * Concurrent callers share the same in-flight request.
+     * @returns {Promise<string>} The new access token
+     */
+    static refresh() {
+        if (AuthSession._refreshPromise) return AuthSession._refreshPromise;
+        AuthSession._refreshPromise = (async () => {
+            try {
+                const data = await apiClient.post('/Auth/refresh', {
+                    accessToken: AuthSession.getAccessToken(),
+                    refreshToken: AuthSession.getRefreshToken()
+                }, { auth: false });
+                const accessToken = AuthSession.storeTokens(data);
+                if (!accessToken) throw new Error('Refresh response did not contain an access token');
+                console.log('Access token refreshed');
+                return accessToken;
+            } finally {
+                AuthSession._refreshPromise = null;
+            }
+        })();
+        return AuthSession._refreshPromise;
+    }
+
+    /**
+     * apiClient hook for 401 responses: refresh once and tell the client to replay.
+     * @returns {Promise<boolean>} true if the failed request should be replayed
+     */
+    static async handleUnauthorized() {
+        try {
+            await AuthSession.refresh();
+            return true;
+        } catch (err) {
+            console.error('Token refresh failed:', err);
+            AuthSession.expire();
+            return false;
+        }
+    }
+
+    /**
+     * Login page URL that brings the user back to the current dashboard section (e.g. #deleted) afterwards
+     * @param {string} [reason] - Shown on the login page: 'session-expired' or 'signed-out'
+     */
+    static loginUrl(reason) {
+        const params = new URLSearchParams();
+        if (reason) params.set('reason', reason);
+        if (/^#[\w-]+$/.test(window.location.hash)) params.set('next', window.location.hash);
+        const query = params.toString();
+        return query ? `login.html?${query}` : 'login.html';
+    }
+
+    /**
+     * Ends the session and sends the user to the login page with a "session expired" message
+     */
+    static expire() {
+        AuthSession.clear();
+        if (!/login\.html$/.test(window.location.pathname)) {
+            window.location.href = AuthSession.loginUrl('session-expired');
+        }
+    }
+
+    /**
+     * Schedules a silent refresh shortly before the current access token expires
+     */
+    static startAutoRefresh() {
+        if (AuthSession._timer) clearTimeout(AuthSession._timer);
+        AuthSession._timer = null;
+        const expiry = AuthSession.getExpiry(AuthSession.getAccessToken());
+        if (expiry === null) return;
+        const delay = Math.max(expiry - Date.now() - TOKEN_REFRESH_SKEW_MS, 0);
+        AuthSession._timer = setTimeout(() => {
+            AuthSession._timer = null;
+            AuthSession.refresh()
+                .then(() => AuthSession.startAutoRefresh())
+                .catch(err => {
+                    console.warn('Background token refresh failed:', err);
+                    // Leave the final decision to the next request's 401 handling
+                });
+        }, delay);
+    }
+}
+
+AuthSession._refreshPromise = null;
+AuthSession._timer = null;
@@ -0,0 +1,207 @@
+// children-cache.js - Client-side cache of GetByParentId results for the tree loaders
+// Fresh entries are served as they are; older ones are served at once and refreshed in the background
+// (stale-while-revalidate). Local edits and SignalR device events drop the entries they affect.
+
+// sessionStorage key of the persisted copy (APP_CONFIG.childrenCachePersist); AuthSession.clear removes it
+const CHILDREN_CACHE_STORAGE_KEY = 'childrenCache';
+// Persist at most this many parents, most recently fetched first
+const CHILDREN_CACHE_PERSIST_LIMIT = 300;
+
+class ChildrenCache {
+    /**
+     * Children of an asset, from the cache when possible
+     * @param {number|null} parentId - null for the root level
+     * @returns {Promise<Object[]>} Raw GetByParentId items
+     */
+    static get(parentId) {
+        const entry = ChildrenCache._entries.get(ChildrenCache.key(parentId));
+        const age = entry ? Date.now() - entry.t : Infinity;
+        if (age < (APP_CONFIG.childrenCacheTtlMs ?? 30000)) return Promise.resolve(entry.data);
+        if (age < (APP_CONFIG.childrenCacheMaxAgeMs ?? 600000)) {
+            ChildrenCache.fetch(parentId)
+                .then(data => {
+                    if (JSON.stringify(data) !== JSON.stringify(entry.data)) ChildrenCache.announce(parentId);
+                })
+                .catch(err => console.debug(`Background refresh of the children of ${parentId} failed:`, err));
+            return Promise.resolve(entry.data);
+        }
+        return ChildrenCache.fetch(parentId);
+    }
+
+    /**
+     * Asks the server, sharing one request between concurrent loads of the same parent
+     */
+    static fetch(parentId) {
+        const key = ChildrenCache.key(parentId);
+        if (ChildrenCache._inflight.has(key)) return ChildrenCache._inflight.get(key);
+        const generation = ChildrenCache._generations.get(key) || 0;
+        const request = fetchAssetsByParentId(parentId)
+            .then(data => {
+                const list = Array.isArray(data) ? data : [];
+                // An edit or event that landed while this was in flight may not be in the answer
+                if ((ChildrenCache._generations.get(key) || 0) === generation) {
+                    ChildrenCache._entries.set(key, { t: Date.now(), data: list });
+                    ChildrenCache.scheduleSave();
+                }
+                return list;
+            })
+            .finally(() => {
+                if (ChildrenCache._inflight.get(key) === request) ChildrenCache._inflight.delete(key);
+            });
+        ChildrenCache._inflight.set(key, request);
+        return request;
+    }
+
+    /**
+     * At least the first `count` children (all of them when there are fewer). With
+     * APP_CONFIG.childrenServerPaging, GetByParentId is asked for skip/take pages as needed and the
+     * pages loaded so far are kept; otherwise the whole list comes from get() and is sliced.
+     * @returns {Promise<{items: Object[], total: (number|null)}>} total is null while the server may have more
+     */
+    static async getPage(parentId, count) {
+        if (!APP_CONFIG.childrenServerPaging) {
+            const all = await ChildrenCache.get(parentId);
+            return { items: all.slice(0, count), total: all.length };
+        }
+        const key = ChildrenCache.key(parentId);
+        const take = APP_CONFIG.childrenPageSize || 200;
+        let entry = ChildrenCache._entries.get(key);
+        if (!entry || Date.now() - entry.t >= (APP_CONFIG.childrenCacheTtlMs ?? 30000)) {
+            entry = { t: Date.now(), data: [], complete: false };
+        }
+        while (entry.data.length < count && !entry.complete) {
+            const generation = ChildrenCache._generations.get(key) || 0;
+            const page = await ChildrenCache.fetchPage(parentId, entry.data.length, take);
+            entry = { t: entry.t, data: entry.data.concat(page), complete: page.length < take };
+            if ((ChildrenCache._generations.get(key) || 0) === generation) {
+                ChildrenCache._entries.set(key, entry);
+                ChildrenCache.scheduleSave();
+            }
+        }
+        return { items: entry.data.slice(0, count), total: entry.complete ? entry.data.length : null };
+    }
+
+    static fetchPage(parentId, skip, take) {
+        const key = `${ChildrenCache.key(parentId)}@${skip}`;
+        if (ChildrenCache._inflight.has(key)) return ChildrenCache._inflight.get(key);
+        const request = fetchAssetsByParentId(parentId, { skip, take })
+            .then(data => (Array.isArray(data) ? data : []))
+            .finally(() => {
+                if (ChildrenCache._inflight.get(key) === request) ChildrenCache._inflight.delete(key);
+            });
+        ChildrenCache._inflight.set(key, request);
+        return request;
+    }
+
+    /**
+     * A parent's full child list when a fresh one (childrenCacheTtlMs) is cached, without asking the server
+     * @returns {Object[]|null} null when nothing, only some pages or an older list is cached
+     */
+    static peek(parentId) {
+        const entry = ChildrenCache._entries.get(ChildrenCache.key(parentId));
+        if (!entry || entry.complete === false || Date.now() - entry.t >= (APP_CONFIG.childrenCacheTtlMs ?? 30000)) return null;
+        return entry.data;
+    }
+
+    static key(parentId) {
+        return parentId === null || parentId === undefined ? 'root' : String(parentId);
+    }
+
+    /**
+     * Drops the children lists of these parents. 0 and null both mean the root level.
+     * @param {...(number|null)} parentIds
+     */
+    static invalidate(...parentIds) {
+        parentIds.forEach(parentId => {
+            const keys = parentId === null || parentId === undefined || Number(parentId) === 0
+                ? ['root', '0']
+                : [String(parentId)];
+            keys.forEach(key => ChildrenCache.drop(key));
+        });
+        ChildrenCache.scheduleSave();
+    }
+
+    /**
+     * Drops every list an asset appears in (its parent is not always known) and its own children
+     */
+    static invalidateAsset(assetId) {
+        if (assetId === null || assetId === undefined) return;
+        for (const [key, entry] of ChildrenCache._entries) {
+            if (entry.data.some(a => normalizeAsset(a).id === Number(assetId))) ChildrenCache.drop(key);
+        }
+        ChildrenCache.drop(String(assetId));
+        ChildrenCache.scheduleSave();
+    }
+
+    static clear() {
+        [...ChildrenCache._entries.keys(), ...ChildrenCache._inflight.keys()].forEach(key => ChildrenCache.drop(key));
+        ChildrenCache.scheduleSave();
+    }
+
+    static drop(key) {
+        ChildrenCache._entries.delete(key);
+        ChildrenCache._inflight.delete(key);
+        ChildrenCache._generations.set(key, (ChildrenCache._generations.get(key) || 0) + 1);
+    }
+
+    /**
+     * A background refresh found different children; listeners (TreeLiveUpdates) reload that level
+     */
+    static announce(parentId) {
+        document.dispatchEvent(new CustomEvent('assets:children-refreshed', { detail: { parentId } }));
+    }
+
+    static restore() {
+        if (!APP_CONFIG.childrenCachePersist) return;
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(CHILDREN_CACHE_STORAGE_KEY) || '{}');
+            Object.entries(saved).forEach(([key, entry]) => {
+                if (Array.isArray(entry?.data) && typeof entry.t === 'number') ChildrenCache._entries.set(key, entry);
+            });
+        } catch (_) {
+            sessionStorage.removeItem(CHILDREN_CACHE_STORAGE_KEY);
+        }
+    }
+
+    static scheduleSave() {
+        if (!APP_CONFIG.childrenCachePersist || ChildrenCache._saveTimer) return;
+        ChildrenCache._saveTimer = setTimeout(() => {
+            ChildrenCache._saveTimer = null;
+            ChildrenCache.save();
+        }, 500);
+    }
+
+    static save() {
+        const entries = [...ChildrenCache._entries]
+            .sort((a, b) => b[1].t - a[1].t)
+            .slice(0, CHILDREN_CACHE_PERSIST_LIMIT);
+        try {
+            sessionStorage.setItem(CHILDREN_CACHE_STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+        } catch (err) {
+            console.warn('Could not persist the children cache:', err);
+        }
+    }
+
+    static onDeviceEvent(e) {
+        const { id, parentId } = normalizeAsset(e.detail);
+        if (e.type === 'hub:DeviceAdded') {
+            if (parentId !== null) ChildrenCache.invalidate(parentId);
+            else ChildrenCache.clear();
+            return;
+        }
+        ChildrenCache.invalidateAsset(id);
+        if (parentId !== null) ChildrenCache.invalidate(parentId);
+    }
+}
+
+/** @type {Map<string, {t: number, data: Object[]}>} Keyed by parent id ('root' for the root level) */
+ChildrenCache._entries = new Map();
+ChildrenCache._inflight = new Map();
+// Bumped on every invalidation so answers to older requests aren't stored
+ChildrenCache._generations = new Map();
+ChildrenCache._saveTimer = null;
+
+ChildrenCache.restore();
+['hub:DeviceAdded', 'hub:DeviceUpdated', 'hub:DeviceRemoved'].forEach(name => {
+    document.addEventListener(name, ChildrenCache.onDeviceEvent);
+});
@@ -0,0 +1,143 @@
+// combinations-count.js - Total Combinations stat: pushed over SignalR, polled only as a fallback
+
+// Hub event carrying the new count (a number or { totalCombinations })
+const COMBINATIONS_EVENT = 'CombinationsCountUpdated';
+const COMBINATIONS_HUB = 'Notifications';
+
+class CombinationsCounter {
+    static init() {
+        if (!document.getElementById('totalCombinations')) return;
+        document.addEventListener(`hub:${COMBINATIONS_EVENT}`, (e) => CombinationsCounter.onPush(e.detail));
+        document.addEventListener('hub:state', (e) => {
+            if (e.detail.name !== COMBINATIONS_HUB) return;
+            // A new connection may not push at all; poll until it proves it does
+            CombinationsCounter._pushAt = null;
+            if (e.detail.state === 'connected') CombinationsCounter.fetchNow().catch(() => {});
+            CombinationsCounter.schedule();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                CombinationsCounter.stopTimer();
+            } else {
+                CombinationsCounter.fetchNow().catch(() => {});
+            }
+        });
+        // Re-renders the stale indicator, and resumes polling once pushes have gone quiet
+        setInterval(() => {
+            CombinationsCounter.render();
+            if (!CombinationsCounter._timer) CombinationsCounter.schedule();
+        }, 5000);
+        CombinationsCounter.fetchNow().catch(() => {});
+    }
+
+    /**
+     * A received push proves the hub delivers updates; polling stays off until the connection changes
+     * or no push has come for combinationsPushQuietMs (the server may have stopped sending them)
+     */
+    static isPushActive() {
+        return CombinationsCounter._pushAt !== null
+            && HubConnectionManager.getState(COMBINATIONS_HUB) === 'connected'
+            && Date.now() - CombinationsCounter._pushAt <= CombinationsCounter.pushQuietMs();
+    }
+
+    static pushQuietMs() {
+        return APP_CONFIG.combinationsPushQuietMs ?? 60000;
+    }
+
+    static onPush(payload) {
+        const count = typeof payload === 'number' ? payload : Number(payload?.totalCombinations ?? payload?.TotalCombinations);
+        if (!Number.isFinite(count)) return;
+        CombinationsCounter._pushAt = Date.now();
+        CombinationsCounter.stopTimer();
+        CombinationsCounter.update(count);
+    }
+
+    /**
+     * Loads the count now; concurrent callers share the request in flight
+     * @returns {Promise<number>}
+     */
+    static fetchNow() {
+        if (CombinationsCounter._inFlight) return CombinationsCounter._inFlight;
+        CombinationsCounter.stopTimer();
+        CombinationsCounter._inFlight = getAllCombinationsCount()
+            .then(count => {
+                CombinationsCounter._failures = 0;
+                CombinationsCounter._lastError = null;
+                CombinationsCounter.update(count);
+                return count;
+            })
+            .catch(err => {
+                CombinationsCounter._failures++;
+                CombinationsCounter._lastError = err?.message || String(err);
+                CombinationsCounter.render();
+                throw err;
+            })
+            .finally(() => {
+                CombinationsCounter._inFlight = null;
+                CombinationsCounter.schedule();
+            });
+        return CombinationsCounter._inFlight;
+    }
+
+    /**
+     * Plans the next poll: none while pushes arrive or the tab is hidden, backing off after errors
+     */
+    static schedule() {
+        CombinationsCounter.stopTimer();
+        if (document.hidden || CombinationsCounter.isPushActive() || CombinationsCounter._inFlight) return;
+        const base = APP_CONFIG.combinationsPollMs ?? 2000;
+        const max = APP_CONFIG.combinationsMaxBackoffMs ?? 60000;
+        const delay = Math.min(base * 2 ** CombinationsCounter._failures, max);
+        CombinationsCounter._timer = setTimeout(() => CombinationsCounter.fetchNow().catch(() => {}), delay);
+    }
+
+    static stopTimer() {
+        clearTimeout(CombinationsCounter._timer);
+        CombinationsCounter._timer = null;
+    }
+
+    static update(count) {
+        CombinationsCounter._value = count;
+        CombinationsCounter._updatedAt = Date.now();
+        CombinationsCounter.render();
+    }
+
+    /**
+     * Stale = the last fetch failed, or no update for combinationsStaleAfterMs while polling. Pushes only
+     * come when the count changes, so they count as fresh for combinationsPushQuietMs; after that polling
+     * takes over (isPushActive) and has combinationsStaleAfterMs to confirm the count.
+     */
+    static isStale() {
+        if (CombinationsCounter._updatedAt === null) return CombinationsCounter._lastError !== null;
+        if (CombinationsCounter._lastError) return true;
+        if (document.hidden || CombinationsCounter.isPushActive()) return false;
+        const pushQuietSince = CombinationsCounter._pushAt === null ? 0 : CombinationsCounter._pushAt + CombinationsCounter.pushQuietMs();
+        const since = Math.max(CombinationsCounter._updatedAt, pushQuietSince);
+        return Date.now() - since > (APP_CONFIG.combinationsStaleAfterMs ?? 15000);
+    }
+
+    static render() {
+        const valueEl = document.getElementById('totalCombinations');
+        const staleEl = document.getElementById('combinationsStale');
+        if (!valueEl) return;
+        valueEl.textContent = CombinationsCounter._value === null ? '-' : CombinationsCounter._value;
+        if (!staleEl) return;
+        const stale = CombinationsCounter.isStale();
+        staleEl.hidden = !stale;
+        valueEl.closest('.stat-card')?.classList.toggle('stale', stale);
+        if (!stale) return;
+        const since = CombinationsCounter._updatedAt === null ? 'never updated' : `stale since ${new Date(CombinationsCounter._updatedAt).toLocaleTimeString()}`;
+        staleEl.textContent = since.charAt(0).toUpperCase() + since.slice(1);
+        staleEl.title = CombinationsCounter._lastError ? `Last error: ${CombinationsCounter._lastError}` : 'No updates received recently';
+    }
+}
+
+CombinationsCounter._value = null;
+CombinationsCounter._updatedAt = null;
+CombinationsCounter._pushAt = null;
+CombinationsCounter._inFlight = null;
+CombinationsCounter._timer = null;
+CombinationsCounter._failures = 0;
+CombinationsCounter._lastError = null;
+
+document.addEventListener('DOMContentLoaded', () => CombinationsCounter.init());
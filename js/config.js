@@ -0,0 +1,76 @@
+// config.js - Shared frontend configuration (load before any other app script)
+
+const APP_CONFIG = {
+    // Origin of the backend; SignalR hubs and the REST API hang off this
+    apiOrigin: 'https://localhost:7186', // Update this to match your backend URL
+    // Path prefix of the REST API under apiOrigin
+    apiPath: '/api',
+    // Abort REST calls that take longer than this (milliseconds)
+    requestTimeoutMs: 15000,
+    // Optional endpoint (under apiPath) returning the whole hierarchy nested in one call.
+    // When null the hierarchy is walked level by level through GetByParentId.
+    hierarchyBulkPath: null,
+    // The tree reuses a GetByParentId answer for childrenCacheTtlMs without asking again; up to
+    // childrenCacheMaxAgeMs an older answer is still shown at once while a fresh one loads (milliseconds)
+    childrenCacheTtlMs: 30000,
+    childrenCacheMaxAgeMs: 10 * 60 * 1000,
+    // Trees draw this many children per parent, then a "Load more…" node for the next page
+    childrenPageSize: 200,
+    // Load the next page as soon as "Load more…" scrolls into view
+    childrenInfiniteScroll: true,
+    // Pages drawn per parent at once; further pages replace the ones at the other end of the list
+    childrenWindowPages: 3,
+    // GetByParentId accepts ?skip=&take=; the tree then fetches wide branches a page at a time too
+    childrenServerPaging: false,
+    // Keep those answers in sessionStorage so a reload draws the tree before the API replies
+    childrenCachePersist: true,
+    // Max concurrent GetByParentId calls while walking the hierarchy
+    hierarchyWalkConcurrency: 4,
+    // Optional endpoint (under apiPath) that permanently removes a deleted asset, called with DELETE;
+    // {id} is replaced by its AssetId, e.g. '/AssetHierarchy/PurgeDeletedAsset/{id}'.
+    // When null, Purge and "Copy under another parent…" in Recently Deleted are hidden.
+    purgeDeletedPath: null,
+    // Pause between InsertAsset calls when importing a hierarchy file (milliseconds)
+    importThrottleMs: 200,
+    // Total Combinations normally arrives over SignalR; until it does, poll this often (milliseconds).
+    // Failed polls back off exponentially up to combinationsMaxBackoffMs.
+    combinationsPollMs: 2000,
+    combinationsMaxBackoffMs: 60000,
+    // Mark the count as stale after this long without an update while polling
+    combinationsStaleAfterMs: 15000,
+    // Resume polling when no CombinationsCountUpdated push has come for this long (milliseconds)
+    combinationsPushQuietMs: 60000,
+    // While edits made offline are waiting in the outbox, try the backend again this often (milliseconds)
+    outboxRetryMs: 30000,
+    // Columns suggested in the Metrics section (any other column name can be typed in)
+    metricColumns: ['Count'],
+    // Confirms the stored session on dashboard load (SessionGuard)
+    sessionCheckPath: '/Auth/me',
+    // Password rules for signup and reset; keep in step with the backend's Identity options
+    passwordPolicy: {
+        minLength: 8,
+        requireLower: true,
+        requireUpper: true,
+        requireDigit: true,
+        requireSymbol: true,
+        forbidEmail: true
+    },
+    // Signup asks this on email blur whether the address is taken (optional endpoint)
+    emailCheckPath: '/Auth/email-available',
+    // Revokes the refresh token and ends the cookie session on logout (AuthSession.logout)
+    revokePath: '/Auth/revoke',
+    logoutTimeoutMs: 5000,
+    // What each role (from the access token's role claim) may do in the UI; '*' = everything.
+    // The backend enforces its own rules, this only hides actions that would be refused.
+    // Users keep the edits they always had; only purging Recently Deleted is for admins.
+    roleCapabilities: {
+        Admin: ['*'],
+        User: ['assets.create', 'assets.rename', 'assets.move', 'assets.delete', 'assets.restore', 'metrics.calculate']
+    },
+    // SignalR hubs under apiOrigin. Each listed event is re-broadcast as a 'hub:<Event>' DOM event.
+    hubs: [
+        { name: 'Notifications', path: '/hubs/notifications', events: ['DeviceAdded', 'DeviceUpdated', 'DeviceRemoved', 'CombinationsCountUpdated'] },
+        // Update the path to match your backend, e.g. '/hubs/averages' or '/hubs/metrics'
+        { name: 'Metrics', path: '/hubs/averages', events: ['ReceiveAverage'] }
+    ]
+};
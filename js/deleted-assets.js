@@ -0,0 +1,323 @@
+// deleted-assets.js - Recently Deleted toolbar: search, sort, selection, bulk Retrieve and Purge
+// initializeDeletedCards (asset-hierarchy-api.js) fetches the list; this filters, sorts and draws it.
+
+// Field names the backend may use for when an asset was deleted, most likely first
+const DELETED_AT_KEYS = ['DeletedAt', 'deletedAt', 'DeletedOn', 'deletedOn', 'DeletionTime', 'deletionTime'];
+
+class DeletedAssetsPanel {
+    static init() {
+        const search = document.getElementById('deletedSearchInput');
+        if (!search) return;
+        let timer = null;
+        search.addEventListener('input', () => {
+            clearTimeout(timer);
+            // Every card draws its own jsTree; don't redraw on each keystroke
+            timer = setTimeout(() => DeletedAssetsPanel.render(), 200);
+        });
+        document.getElementById('deletedSortSelect').addEventListener('change', () => DeletedAssetsPanel.render());
+        document.getElementById('deletedSelectAll').addEventListener('change', (e) => {
+            DeletedAssetsPanel.visibleAssets().forEach(da => {
+                const id = DeletedAssetsPanel.idOf(da);
+                if (e.target.checked) DeletedAssetsPanel._selected.add(id);
+                else DeletedAssetsPanel._selected.delete(id);
+            });
+            document.querySelectorAll('#deletedCards .deleted-select').forEach(cb => { cb.checked = e.target.checked; });
+            DeletedAssetsPanel.updateToolbar();
+        });
+        document.getElementById('deletedRetrieveBtn').addEventListener('click', () => DeletedAssetsPanel.retrieveSelected());
+        document.getElementById('deletedPurgeBtn').addEventListener('click', () => DeletedAssetsPanel.purgeSelected());
+    }
+
+    /**
+     * @param {DeletionAsset[]} assets - As returned by GetAllDeletedAssets
+     */
+    static setAssets(assets) {
+        DeletedAssetsPanel._assets = assets;
+        // Drop selections of assets that are no longer deleted
+        const ids = new Set(assets.map(DeletedAssetsPanel.idOf));
+        DeletedAssetsPanel._selected.forEach(id => {
+            if (!ids.has(id)) DeletedAssetsPanel._selected.delete(id);
+        });
+        DeletedRestore.pruneMarks(ids);
+        DeletedAssetsPanel.render();
+    }
+
+    static idOf(da) {
+        return Number(da.AssetId ?? da.assetId);
+    }
+
+    static nameOf(da) {
+        return da.Name || da.name || 'Deleted Asset';
+    }
+
+    /**
+     * @returns {number|null} Deletion time in ms, when the backend sends one
+     */
+    static deletedAt(da) {
+        for (const key of DELETED_AT_KEYS) {
+            const t = da[key] ? Date.parse(da[key]) : NaN;
+            if (!Number.isNaN(t)) return t;
+        }
+        return null;
+    }
+
+    /**
+     * Ids of a deleted asset and of everything in its deleted subtree
+     * @returns {Set<number>}
+     */
+    static subtreeIds(asset, ids = new Set()) {
+        const id = asset.AssetId ?? asset.assetId ?? asset.Id ?? asset.id;
+        if (id !== undefined && id !== null) ids.add(Number(id));
+        (asset.Childrens || asset.childrens || []).forEach(child => DeletedAssetsPanel.subtreeIds(child, ids));
+        return ids;
+    }
+
+    /**
+     * True when the search text is in the name or id of the asset or of anything in its subtree
+     */
+    static matches(asset, query) {
+        const name = String(asset.Name ?? asset.name ?? '').toLowerCase();
+        const id = String(asset.AssetId ?? asset.assetId ?? asset.Id ?? asset.id ?? '');
+        if (name.includes(query) || id === query) return true;
+        const children = asset.Childrens || asset.childrens || [];
+        return children.some(child => DeletedAssetsPanel.matches(child, query));
+    }
+
+    /**
+     * The loaded list, filtered by the search box and ordered by the sort select
+     */
+    static visibleAssets() {
+        const query = document.getElementById('deletedSearchInput')?.value.trim().toLowerCase() || '';
+        const sort = document.getElementById('deletedSortSelect')?.value || 'deleted-desc';
+        // Without timestamps the server's order stands in for deletion order (oldest first)
+        const list = DeletedAssetsPanel._assets
+            .map((da, index) => ({ da, index, at: DeletedAssetsPanel.deletedAt(da) ?? index }))
+            .filter(({ da }) => !query || DeletedAssetsPanel.matches(da, query));
+        const byName = (a, b) => DeletedAssetsPanel.nameOf(a.da).localeCompare(DeletedAssetsPanel.nameOf(b.da), undefined, { sensitivity: 'base', numeric: true });
+        const compare = {
+            'deleted-desc': (a, b) => b.at - a.at,
+            'deleted-asc': (a, b) => a.at - b.at,
+            name: byName,
+            size: (a, b) => getDeletedDescendantCount(b.da) - getDeletedDescendantCount(a.da) || byName(a, b)
+        }[sort];
+        return list.sort(compare).map(item => item.da);
+    }
+
+    static render() {
+        const container = document.getElementById('deletedCards');
+        if (!container) return;
+        const all = DeletedAssetsPanel._assets;
+        const visible = DeletedAssetsPanel.visibleAssets();
+        container.innerHTML = '';
+        if (!all.length || !visible.length) {
+            container.innerHTML = `<div class="empty-info">${all.length ? 'No deleted assets match the search.' : 'No assets to retrieve.'}</div>`;
+            DeletedAssetsPanel.updateToolbar();
+            return;
+        }
+
+        const frag = document.createDocumentFragment();
+        visible.forEach((da, idx) => frag.appendChild(buildDeletedCard(da, idx)));
+        container.appendChild(frag);
+        Permissions.apply(container);
+        container.querySelectorAll('.btn-retrieve').forEach(btn => {
+            btn.addEventListener('click', (e) => retrieveDeletedCard(e.currentTarget));
+        });
+        container.querySelectorAll('.deleted-select').forEach(cb => {
+            const id = Number(cb.dataset.id);
+            cb.checked = DeletedAssetsPanel._selected.has(id);
+            cb.addEventListener('change', () => {
+                if (cb.checked) DeletedAssetsPanel._selected.add(id);
+                else DeletedAssetsPanel._selected.delete(id);
+                DeletedAssetsPanel.updateToolbar();
+            });
+        });
+        DeletedAssetsPanel.updateToolbar();
+    }
+
+    static updateToolbar() {
+        const selected = DeletedAssetsPanel._selected;
+        const visibleIds = DeletedAssetsPanel.visibleAssets().map(DeletedAssetsPanel.idOf);
+        const selectAll = document.getElementById('deletedSelectAll');
+        if (!selectAll) return;
+        const visibleSelected = visibleIds.filter(id => selected.has(id)).length;
+        const hiddenSelected = selected.size - visibleSelected;
+        selectAll.checked = visibleIds.length > 0 && visibleSelected === visibleIds.length;
+        selectAll.indeterminate = visibleSelected > 0 && visibleSelected < visibleIds.length;
+        selectAll.disabled = !visibleIds.length || DeletedAssetsPanel._running;
+        // Bulk actions only take the selected cards the search shows
+        document.getElementById('deletedSelectedCount').textContent = selected.size
+            ? `${visibleSelected} selected${hiddenSelected ? ` (${hiddenSelected} more hidden by the search, not included)` : ''}`
+            : '';
+        document.getElementById('deletedRetrieveBtn').disabled = !visibleSelected || DeletedAssetsPanel._running;
+        document.getElementById('deletedPurgeBtn').disabled = !visibleSelected || DeletedAssetsPanel._running;
+    }
+
+    /**
+     * Selected assets the search shows, in list order except that an asset comes after every selected
+     * asset holding one of its parents (directly or further up), so those are back by the time it is retrieved
+     */
+    static selectedAssets() {
+        const selected = DeletedAssetsPanel._selected;
+        const items = DeletedAssetsPanel._assets
+            .filter(da => selected.has(DeletedAssetsPanel.idOf(da)) && DeletedAssetsPanel.isVisible(da));
+        const parentsOf = da => (da.ParentIds || da.parentIds || []).map(Number);
+        const subtrees = new Map(items.map(da => [da, DeletedAssetsPanel.subtreeIds(da)]));
+        const waitsFor = new Map(items.map(da => [da, items.filter(other =>
+            other !== da && parentsOf(da).some(p => subtrees.get(other).has(p)))]));
+
+        // Topological order, stable on list order; a cycle (bad data) keeps list order for what's left
+        const ordered = [];
+        const placed = new Set();
+        while (ordered.length < items.length) {
+            const next = items.find(da => !placed.has(da) && waitsFor.get(da).every(p => placed.has(p)))
+                || items.find(da => !placed.has(da));
+            placed.add(next);
+            ordered.push(next);
+        }
+        return ordered;
+    }
+
+    static isVisible(da) {
+        const query = document.getElementById('deletedSearchInput')?.value.trim().toLowerCase() || '';
+        return !query || DeletedAssetsPanel.matches(da, query);
+    }
+
+    /**
+     * "A", "A and B", or the first few names and how many more
+     */
+    static listNames(assets, max = 5) {
+        const names = assets.slice(0, max).map(da => `"${DeletedAssetsPanel.nameOf(da)}"`);
+        if (assets.length > max) return `${names.join(', ')} and ${assets.length - max} more`;
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+    }
+
+    /**
+     * Retrieves the selected assets one at a time and summarises what came back
+     */
+    static async retrieveSelected() {
+        if (!Permissions.can('assets.restore')) return;
+        const assets = DeletedAssetsPanel.selectedAssets();
+        const results = await DeletedAssetsPanel.runSequentially(assets, 'deletedRetrieveBtn', 'Retrieving', async (da) => {
+            const copied = DeletedRestore.copiedTo(DeletedAssetsPanel.idOf(da));
+            if (copied) {
+                return { status: 'failed', detail: `Already copied under ${copied.path}; use Retrieve on its card to bring back a duplicate anyway` };
+            }
+            const result = await retrieveDeletedAssetById(DeletedAssetsPanel.idOf(da));
+            // RetrieveDeletedAsset answers with { Message, ParentIds } when the parent is gone
+            if (DeletedRestore.isParentMissing(result)) {
+                const parents = DeletedRestore.parentIdsOf(result);
+                const detail = result.Message || result.message;
+                return { status: 'parent-missing', detail: parents.length ? `${detail} (Parents: ${parents.join(', ')})` : detail };
+            }
+            return { status: 'ok' };
+        }, cleanRetrieveError);
+
+        const ok = results.filter(r => r.status === 'ok').length;
+        const missing = results.filter(r => r.status === 'parent-missing').length;
+        const failed = results.filter(r => r.status === 'failed').length;
+        const parts = [`Retrieved ${ok} of ${results.length}`];
+        if (missing) parts.push(`${missing} need${missing === 1 ? 's' : ''} a missing parent (Retrieve ${missing === 1 ? 'it' : 'them'} from ${missing === 1 ? 'its card' : 'their cards'} to restore the parent or choose another)`);
+        if (failed) parts.push(`${failed} failed`);
+        showNotification(parts.join('; '), failed ? (ok ? 'warning' : 'error') : (missing ? 'warning' : 'success'));
+        DeletedAssetsPanel.showSummary('Retrieve selected', results);
+        await initializeDeletedCards();
+    }
+
+    /**
+     * Purging needs the role and a configured endpoint (APP_CONFIG.purgeDeletedPath)
+     */
+    static canPurge() {
+        return !!APP_CONFIG.purgeDeletedPath && Permissions.can('assets.purge');
+    }
+
+    /**
+     * Permanently deletes the selected assets after a confirmation (admins only)
+     */
+    static async purgeSelected() {
+        if (!DeletedAssetsPanel.canPurge()) return;
+        const assets = DeletedAssetsPanel.selectedAssets();
+        if (!assets.length) return;
+        const descendants = assets.reduce((sum, da) => sum + getDeletedDescendantCount(da), 0);
+        const what = assets.length === 1 ? DeletedAssetsPanel.listNames(assets) : `${assets.length} deleted assets (${DeletedAssetsPanel.listNames(assets)})`;
+        const extra = descendants ? ` and ${descendants} asset${descendants === 1 ? '' : 's'} under ${assets.length === 1 ? 'it' : 'them'}` : '';
+        if (!confirm(`Permanently delete ${what}${extra}? They can't be retrieved afterwards.`)) return;
+
+        const results = await DeletedAssetsPanel.runSequentially(assets, 'deletedPurgeBtn', 'Purging', async (da) => {
+            await purgeDeletedAsset(DeletedAssetsPanel.idOf(da));
+            return { status: 'ok' };
+        }, err => err?.message || 'Failed to purge asset');
+
+        const ok = results.filter(r => r.status === 'ok').length;
+        const failed = results.length - ok;
+        showNotification(`Purged ${ok} of ${results.length}${failed ? `; ${failed} failed` : ''}`, failed ? (ok ? 'warning' : 'error') : 'success');
+        DeletedAssetsPanel.showSummary('Purge selected', results);
+        await initializeDeletedCards();
+    }
+
+    /**
+     * Runs `action` for each asset in turn, showing progress on the toolbar button
+     * @returns {Promise<{label: string, status: ('ok'|'parent-missing'|'failed'), detail?: string}[]>}
+     */
+    static async runSequentially(assets, buttonId, verb, action, describeError) {
+        const button = document.getElementById(buttonId);
+        const label = button.textContent;
+        DeletedAssetsPanel._running = true;
+        DeletedAssetsPanel.updateToolbar();
+        const results = [];
+        try {
+            for (const [i, da] of assets.entries()) {
+                button.textContent = `${verb} ${i + 1}/${assets.length}…`;
+                const itemLabel = `${DeletedAssetsPanel.nameOf(da)} (ID: ${DeletedAssetsPanel.idOf(da)})`;
+                try {
+                    results.push({ label: itemLabel, ...(await action(da)) });
+                    DeletedAssetsPanel._selected.delete(DeletedAssetsPanel.idOf(da));
+                } catch (err) {
+                    results.push({ label: itemLabel, status: 'failed', detail: describeError(err) });
+                }
+            }
+        } finally {
+            button.textContent = label;
+            DeletedAssetsPanel._running = false;
+            DeletedAssetsPanel.updateToolbar();
+        }
+        return results;
+    }
+
+    /**
+     * Lists the items that didn't go through; nothing to show when all of them did
+     */
+    static showSummary(title, results) {
+        const problems = results.filter(r => r.status !== 'ok');
+        if (!problems.length) return;
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="app-dialog-body">
+                <h3 class="app-dialog-title"></h3>
+                <ul class="bulk-report"></ul>
+                <div class="form-buttons">
+                    <button type="submit" class="btn btn-sm" value="ok">Close</button>
+                </div>
+            </form>
+        `;
+        dialog.querySelector('.app-dialog-title').textContent = `${title}: ${results.length - problems.length} of ${results.length} succeeded`;
+        const list = dialog.querySelector('.bulk-report');
+        results.forEach(r => {
+            const li = document.createElement('li');
+            li.className = r.status === 'ok' ? 'ok' : r.status;
+            li.textContent = r.status === 'ok' ? `✓ ${r.label}` : `${r.status === 'failed' ? '✗' : '!'} ${r.label} — ${r.detail}`;
+            list.appendChild(li);
+        });
+        dialog.addEventListener('close', () => dialog.remove());
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    }
+}
+
+/** @type {DeletionAsset[]} Last list from GetAllDeletedAssets */
+DeletedAssetsPanel._assets = [];
+/** @type {Set<number>} Selected AssetIds; kept while searching and re-sorting, but bulk actions skip hidden ones */
+DeletedAssetsPanel._selected = new Set();
+DeletedAssetsPanel._running = false;
+
+document.addEventListener('DOMContentLoaded', () => DeletedAssetsPanel.init());
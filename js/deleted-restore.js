@@ -0,0 +1,254 @@
+// deleted-restore.js - Retrieve for deleted assets whose original parent no longer exists:
+// restore the missing ancestors first, or create the asset and its Childrens again under a chosen parent
+
+// localStorage key of deleted assets that were created again but whose deleted copy couldn't be purged
+const DELETED_RECREATED_STORAGE_KEY = 'recreatedDeletedAssets';
+
+class DeletedRestore {
+    /**
+     * RetrieveDeletedAsset answers { Message, ParentIds, Note } instead of the asset when its parent is gone.
+     * A plain-text success also arrives as { message } (apiClient), so ParentIds is what tells them apart.
+     */
+    static isParentMissing(result) {
+        return !!(result && !result.__noContent && (result.Message || result.message)
+            && Array.isArray(result.ParentIds || result.parentIds));
+    }
+
+    static parentIdsOf(result, da = null) {
+        const ids = result?.ParentIds || result?.parentIds || da?.ParentIds || da?.parentIds || [];
+        return ids.map(Number);
+    }
+
+    static childrenOf(asset) {
+        return Array.isArray(asset.Childrens) ? asset.Childrens : (Array.isArray(asset.childrens) ? asset.childrens : []);
+    }
+
+    /**
+     * Recently Deleted cards that hold one of `parentIds` (as the card itself or inside its subtree);
+     * retrieving them brings the missing parents back
+     * @returns {DeletionAsset[]}
+     */
+    static findAncestorCards(parentIds, ownId) {
+        return DeletedAssetsPanel._assets.filter(card => {
+            if (DeletedAssetsPanel.idOf(card) === ownId) return false;
+            const ids = DeletedAssetsPanel.subtreeIds(card);
+            return parentIds.some(p => ids.has(p));
+        });
+    }
+
+    /**
+     * Asks what to do about a retrieve that came back "parent missing" and does it
+     * @param {DeletionAsset} da - The card being retrieved
+     * @param {Object} result - Its { Message, ParentIds, Note } answer
+     * @returns {Promise<boolean>} true when the asset was restored one way or the other
+     */
+    static async resolve(da, result) {
+        const id = DeletedAssetsPanel.idOf(da);
+        const name = DeletedAssetsPanel.nameOf(da);
+        const parentIds = DeletedRestore.parentIdsOf(result, da);
+        const ancestors = DeletedRestore.findAncestorCards(parentIds, id);
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="app-dialog-body">
+                <h3 class="app-dialog-title"></h3>
+                <p class="app-dialog-message restore-server-message"></p>
+                <p class="app-dialog-message restore-options-message"></p>
+                <p class="app-dialog-message restore-copy-message"></p>
+                <div class="form-buttons">
+                    <button type="button" class="btn btn-sm btn-secondary" value="cancel">Cancel</button>
+                    <button type="submit" class="btn btn-sm btn-secondary" value="pick">Copy under another parent…</button>
+                    <button type="submit" class="btn btn-sm" value="ancestors">Restore parents first</button>
+                </div>
+            </form>
+        `;
+        dialog.querySelector('.app-dialog-title').textContent = `"${name}" can't go back where it was`;
+        const note = result.Note || result.note;
+        dialog.querySelector('.restore-server-message').textContent =
+            `${result.Message || result.message}${parentIds.length ? ` (Parents: ${parentIds.join(', ')})` : ''}${note ? ` ${note}` : ''}`;
+        const optionsMessage = dialog.querySelector('.restore-options-message');
+        if (ancestors.length) {
+            const list = ancestors.map(a => `"${DeletedAssetsPanel.nameOf(a)}" (ID: ${DeletedAssetsPanel.idOf(a)})`).join(', ');
+            optionsMessage.textContent = `Its parent is in Recently Deleted under ${list}. Restoring that first puts "${name}" back where it was.`;
+        } else {
+            dialog.querySelector('button[value="ancestors"]').remove();
+            optionsMessage.textContent = `Its original parent isn't in Recently Deleted either, so it can't be restored as it was.`;
+        }
+        // The copy is only safe when the deleted original can be purged afterwards; retrieving it later would duplicate
+        const copyMessage = dialog.querySelector('.restore-copy-message');
+        if (DeletedRestore.canCopy()) {
+            copyMessage.textContent = `Copying does not restore it: new assets with new IDs are created under the parent you choose, ` +
+                `keeping only the names of "${name}" and its children. The deleted original is then permanently removed.`;
+        } else {
+            dialog.querySelector('button[value="pick"]').remove();
+            if (APP_CONFIG.purgeDeletedPath) copyMessage.textContent = 'An admin can copy it under another parent instead.';
+            else copyMessage.remove();
+        }
+        document.body.appendChild(dialog);
+
+        const choice = await new Promise(resolve => {
+            dialog.querySelector('button[value="cancel"]').addEventListener('click', () => dialog.close('cancel'));
+            dialog.addEventListener('close', () => resolve(dialog.returnValue));
+            dialog.showModal();
+        });
+        dialog.remove();
+
+        if (choice === 'ancestors') return DeletedRestore.runAncestors(da, result);
+        if (choice === 'pick') return DeletedRestore.runPick(da);
+        return false;
+    }
+
+    /**
+     * Copying needs InsertAsset and purging the original
+     */
+    static canCopy() {
+        return Permissions.can('assets.create') && DeletedAssetsPanel.canPurge();
+    }
+
+    static async runAncestors(da, result) {
+        try {
+            const restored = await DeletedRestore.restoreWithAncestors(DeletedAssetsPanel.idOf(da), new Set(), result);
+            const others = restored.length - 1;
+            showNotification(`Retrieved "${DeletedAssetsPanel.nameOf(da)}"${others ? ` after ${others} missing parent${others === 1 ? '' : 's'}` : ''}`, 'success');
+            return true;
+        } catch (err) {
+            showNotification(`Could not restore the parents of "${DeletedAssetsPanel.nameOf(da)}": ${cleanRetrieveError(err)}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Retrieves an asset, retrieving the deleted cards that hold its missing parents first (recursively)
+     * @param {Object} [knownResult] - Answer already received for `id`, saves asking again
+     * @returns {Promise<number[]>} AssetIds retrieved, in order
+     */
+    static async restoreWithAncestors(id, seen = new Set(), knownResult = null) {
+        if (seen.has(id)) throw new Error(`Asset ${id} is its own ancestor`);
+        seen.add(id);
+        const result = knownResult || await retrieveDeletedAssetById(id);
+        if (!DeletedRestore.isParentMissing(result)) return [id];
+
+        const cards = DeletedRestore.findAncestorCards(DeletedRestore.parentIdsOf(result), id);
+        if (!cards.length) throw new Error(`The parent of asset ${id} is not in Recently Deleted`);
+        const restored = [];
+        for (const card of cards) {
+            restored.push(...await DeletedRestore.restoreWithAncestors(DeletedAssetsPanel.idOf(card), seen));
+        }
+        const retry = await retrieveDeletedAssetById(id);
+        if (DeletedRestore.isParentMissing(retry)) throw new Error(retry.Message || retry.message);
+        return [...restored, id];
+    }
+
+    /**
+     * Copies the deleted asset under a picked parent, then purges the deleted original. When the copy
+     * stops partway or the purge fails, the card is marked (markCopied) so a later Retrieve warns first.
+     */
+    static async runPick(da) {
+        if (!DeletedRestore.canCopy() || EditOutbox.blocksDirectEdits('Copying a deleted asset')) return false;
+        const id = DeletedAssetsPanel.idOf(da);
+        const name = DeletedAssetsPanel.nameOf(da);
+        const count = getDeletedDescendantCount(da);
+        const parent = await AssetParentPicker.pick({
+            title: `Copy "${name}" under…`,
+            message: `New assets named like "${name}"${count ? ` and its ${count} descendant${count === 1 ? '' : 's'}` : ''} are created ` +
+                'under the asset you choose, with new IDs. The deleted original is then permanently removed.',
+            confirmLabel: 'Copy here'
+        });
+        if (!parent) return false;
+
+        showNotification(`Copying "${name}" under "${parent.name}"…`, 'info');
+        let created = 0;
+        try {
+            created = await DeletedRestore.restoreUnder(da, parent.assetId, () => created++);
+        } catch (err) {
+            if (created) DeletedRestore.markCopied(id, parent.path);
+            showNotification(`Copying "${name}" stopped after ${created} of ${count + 1} assets: ${err?.message || err}`, 'error');
+            DeletedRestore.refreshTreeNode(parent.assetId);
+            return false;
+        }
+        DeletedRestore.refreshTreeNode(parent.assetId);
+
+        const what = `"${name}"${count ? ` and ${count} descendant${count === 1 ? '' : 's'}` : ''}`;
+        try {
+            await purgeDeletedAsset(id);
+        } catch (err) {
+            DeletedRestore.markCopied(id, parent.path);
+            showNotification(`Copied ${what} under "${parent.name}", but the deleted original could not be removed ` +
+                `(${err?.message || err}). Retrieving it would bring back a duplicate.`, 'warning');
+            return true;
+        }
+        showNotification(`Copied ${what} under "${parent.name}" and removed the deleted original`, 'success');
+        return true;
+    }
+
+    /**
+     * Remembers (in this browser) that a deleted asset was copied while its original stayed in Recently Deleted
+     */
+    static markCopied(assetId, path) {
+        const marks = DeletedRestore.copiedMarks();
+        marks[assetId] = { path, at: Date.now() };
+        localStorage.setItem(DELETED_RECREATED_STORAGE_KEY, JSON.stringify(marks));
+    }
+
+    /**
+     * @returns {{path: string, at: number}|null} Where the asset was copied to, if it was
+     */
+    static copiedTo(assetId) {
+        return DeletedRestore.copiedMarks()[assetId] || null;
+    }
+
+    static copiedMarks() {
+        try {
+            return JSON.parse(localStorage.getItem(DELETED_RECREATED_STORAGE_KEY) || '{}') || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Drops the marks of assets that are no longer in Recently Deleted
+     * @param {Set<number>} deletedIds
+     */
+    static pruneMarks(deletedIds) {
+        const marks = DeletedRestore.copiedMarks();
+        const kept = Object.fromEntries(Object.entries(marks).filter(([id]) => deletedIds.has(Number(id))));
+        if (Object.keys(kept).length !== Object.keys(marks).length) {
+            localStorage.setItem(DELETED_RECREATED_STORAGE_KEY, JSON.stringify(kept));
+        }
+    }
+
+    /**
+     * Creates a deleted asset and its Childrens again under `parentId`, parents before children,
+     * APP_CONFIG.importThrottleMs apart (as imports do)
+     * @param {function():void} [onCreated] - Called after each asset
+     * @returns {Promise<number>} How many assets were created
+     */
+    static async restoreUnder(da, parentId, onCreated = () => {}) {
+        const knownChildren = new Map();
+        let created = 0;
+        const create = async (asset, underId) => {
+            if (created) await new Promise(r => setTimeout(r, APP_CONFIG.importThrottleMs ?? 0));
+            if (!knownChildren.has(underId)) knownChildren.set(underId, await fetchChildAssetIds(underId));
+            const name = asset.Name ?? asset.name ?? 'Unnamed';
+            const id = await createAssetNodeWithId(underId, name, knownChildren.get(underId));
+            if (id === null) throw new Error(`Created "${name}" but could not find its new ID`);
+            knownChildren.get(underId).add(id);
+            knownChildren.set(id, new Set());
+            created++;
+            onCreated();
+            for (const child of DeletedRestore.childrenOf(asset)) await create(child, id);
+        };
+        await create(da, parentId);
+        return created;
+    }
+
+    /**
+     * Our own creates are skipped by the live updates, so reload the parent in #assetTree
+     */
+    static refreshTreeNode(assetId) {
+        const tree = $('#assetTree').jstree(true);
+        const node = tree && tree.get_node(`node_${assetId}`);
+        if (node && tree.is_loaded(node)) tree.refresh_node(node);
+    }
+}
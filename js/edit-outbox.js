@@ -0,0 +1,484 @@
+// edit-outbox.js - Keeps Add Child / Rename / Move edits made while the backend is unreachable.
+// They stay in the tree (marked pending), are stored in IndexedDB so a reload doesn't lose them,
+// and are replayed in order once the backend answers again. Deletes and bulk actions still need a connection.
+
+const OUTBOX_DB_NAME = 'assetHierarchyOutbox';
+const OUTBOX_STORE = 'operations';
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {number} seq - IndexedDB key; entries replay in this order
+ * @property {'create'|'update'} type
+ * @property {number} [tempId] - create: negative asset id the node uses until the server assigns one
+ * @property {number} [parentId] - create: parent asset id (0 = root level)
+ * @property {string} [name] - create
+ * @property {{Id:number, OldParentId:number, NewParentId:number, OldName:string, NewName:string}} [dto] - update: UpdateAsset DTO
+ * @property {'pending'|'conflict'} status
+ * @property {string|null} error - Why replay stopped at this entry
+ * @property {boolean} [force] - Replay without the conflict check ("Apply anyway")
+ * @property {number} queuedAt
+ */
+
+class EditOutbox {
+    static async init() {
+        EditOutbox._button = document.getElementById('outboxBtn');
+        EditOutbox._button?.addEventListener('click', () => EditOutbox.openDialog());
+        window.addEventListener('online', () => EditOutbox.flush());
+        // Covers the hubs' onreconnected callback as well as a fresh start after onclose
+        document.addEventListener('hub:state', (e) => {
+            if (e.detail.state === 'connected') EditOutbox.flush();
+        });
+        try {
+            EditOutbox._entries = await EditOutbox.transact('readonly', store => store.getAll());
+        } catch (err) {
+            console.warn('Could not read queued edits from IndexedDB:', err);
+        }
+        EditOutbox._markReady();
+        EditOutbox.render();
+        EditOutbox.flush();
+    }
+
+    static open() {
+        if (!EditOutbox._db) {
+            EditOutbox._db = new Promise((resolve, reject) => {
+                const req = indexedDB.open(OUTBOX_DB_NAME, 1);
+                req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+        return EditOutbox._db;
+    }
+
+    /**
+     * Runs `fn(store)` in one transaction
+     * @returns {Promise<*>} Result of the request `fn` returns (if any), once the transaction has committed
+     */
+    static async transact(mode, fn) {
+        const db = await EditOutbox.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(OUTBOX_STORE, mode);
+            const req = fn(tx.objectStore(OUTBOX_STORE));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    static save(entry) {
+        return EditOutbox.transact('readwrite', store => { store.put(entry); });
+    }
+
+    /**
+     * True when a failed request means "try again later" rather than "the server said no"
+     */
+    static isOffline(err) {
+        if (!navigator.onLine) return true;
+        return !!(err?.isNetworkError || err?.isTimeout || [502, 503, 504].includes(err?.status));
+    }
+
+    static hasPending() {
+        return EditOutbox._entries.length > 0;
+    }
+
+    /**
+     * Sends an edit now, or queues it when the backend is unreachable. Once anything is queued,
+     * later edits queue behind it so the server sees them in the order they were made.
+     * @param {{type:'create', parentId:number, name:string}|{type:'update', dto:Object}} op
+     * @returns {Promise<{queued: boolean, entry?: OutboxEntry, result?: *}>} result is the new asset id for a create
+     * @throws The request's error when it failed for a reason other than connectivity
+     */
+    static async submit(op) {
+        await EditOutbox.ready;
+        let offline = false;
+        if (!EditOutbox.hasPending()) {
+            try {
+                return { queued: false, result: await EditOutbox.send(op) };
+            } catch (err) {
+                if (!EditOutbox.isOffline(err)) throw err;
+                offline = true;
+            }
+        }
+        const entry = await EditOutbox.add(op);
+        if (offline) EditOutbox.scheduleRetry();
+        else EditOutbox.flush();
+        return { queued: true, entry };
+    }
+
+    /**
+     * Tells the user why an edit was queued rather than saved
+     * @param {string} what - e.g. 'Rename to "Pump 2"'
+     */
+    static notifyQueued(what) {
+        const review = { actions: [{ label: 'Review', run: () => EditOutbox.openDialog() }] };
+        if (EditOutbox._entries.some(e => e.status === 'conflict')) {
+            showNotification(`${what} is waiting behind a queued edit that conflicts with the server`, 'warning', review);
+        } else if (EditOutbox._offline || !navigator.onLine) {
+            showNotification(`${what} will be saved when the server is reachable`, 'warning');
+        } else {
+            showNotification(`${what} will be saved after the edits queued before it`, 'info', review);
+        }
+    }
+
+    /**
+     * Edits that don't go through the outbox (undo/redo, bulk actions, the details panel, import, delete)
+     * would reach the server ahead of the queued ones, so they wait until the queue is empty
+     * @param {string} what - The refused action, e.g. 'Undo'
+     * @returns {boolean} true when the caller must not go ahead
+     */
+    static blocksDirectEdits(what) {
+        if (!EditOutbox.hasPending()) return false;
+        const count = EditOutbox._entries.length;
+        showNotification(`${what} has to wait until the ${count} queued edit${count === 1 ? ' is' : 's are'} saved or discarded`, 'warning', {
+            key: `outbox-blocked:${what}`,
+            actions: [{ label: 'Review', run: () => EditOutbox.openDialog() }]
+        });
+        return true;
+    }
+
+    static send(op, knownChildIds = null) {
+        if (op.type === 'create') return createAssetNodeWithId(op.parentId, op.name, knownChildIds);
+        return updateAssetNode(op.dto);
+    }
+
+    static async add(op) {
+        const entry = { ...op, status: 'pending', error: null, queuedAt: Date.now() };
+        entry.seq = await EditOutbox.transact('readwrite', store => {
+            const req = store.add(entry);
+            // Creates take their (negative, never reused) temporary id from the key
+            if (op.type === 'create') {
+                req.onsuccess = () => store.put({ ...entry, seq: req.result, tempId: -req.result });
+            }
+            return req;
+        });
+        if (op.type === 'create') entry.tempId = -entry.seq;
+        EditOutbox._entries.push(entry);
+        EditOutbox.render();
+        return entry;
+    }
+
+    /**
+     * Drops entries from the queue (and IndexedDB)
+     * @param {OutboxEntry[]} entries
+     */
+    static async remove(entries) {
+        const seqs = new Set(entries.map(e => e.seq));
+        EditOutbox._entries = EditOutbox._entries.filter(e => !seqs.has(e.seq));
+        await EditOutbox.transact('readwrite', store => { seqs.forEach(seq => store.delete(seq)); });
+        EditOutbox.render();
+    }
+
+    /**
+     * Replays queued edits in order. Stops at the first one that can't be sent yet (backend still
+     * unreachable: retried later) or that conflicts with the server's current state (waits for the user).
+     */
+    static async flush() {
+        await EditOutbox.ready;
+        if (EditOutbox._flushing || !EditOutbox.hasPending()) return;
+        EditOutbox._flushing = true;
+        clearTimeout(EditOutbox._retryTimer);
+        let synced = 0;
+        try {
+            while (EditOutbox.hasPending()) {
+                const entry = EditOutbox._entries[0];
+                if (entry.status === 'conflict' && !entry.force) break;
+                try {
+                    const result = await EditOutbox.replay(entry);
+                    EditOutbox._offline = false;
+                    await EditOutbox.remove([entry]);
+                    await EditOutbox.afterReplay(entry, result);
+                    synced++;
+                } catch (err) {
+                    if (EditOutbox.isOffline(err)) {
+                        EditOutbox.scheduleRetry();
+                    } else {
+                        await EditOutbox.markConflict(entry, err);
+                    }
+                    break;
+                }
+            }
+        } finally {
+            EditOutbox._flushing = false;
+            EditOutbox.render();
+        }
+        if (synced) {
+            showNotification(`Saved ${synced} queued edit${synced === 1 ? '' : 's'}`, 'success');
+        }
+    }
+
+    static scheduleRetry() {
+        EditOutbox._offline = true;
+        clearTimeout(EditOutbox._retryTimer);
+        EditOutbox._retryTimer = setTimeout(() => EditOutbox.flush(), APP_CONFIG.outboxRetryMs || 30000);
+    }
+
+    /**
+     * Checks the edit still makes sense against the server's current state, then sends it
+     * @throws {Error} Describing the conflict when someone else changed the assets meanwhile
+     */
+    static async replay(entry) {
+        if (entry.type === 'create') {
+            const siblings = (await fetchAssetsByParentId(entry.parentId) || []).map(normalizeAsset);
+            const name = entry.name.toLowerCase();
+            if (!entry.force && siblings.some(s => (s.name ?? '').toLowerCase() === name)) {
+                throw new Error(`An asset named "${entry.name}" already exists there`);
+            }
+            return EditOutbox.send(entry, new Set(siblings.map(s => s.id).filter(id => id !== null)));
+        }
+        if (!entry.force) {
+            const { Id, OldParentId, OldName } = entry.dto;
+            const siblings = (await fetchAssetsByParentId(OldParentId) || []).map(normalizeAsset);
+            const current = siblings.find(s => s.id === Id);
+            if (!current) throw new Error(`"${OldName}" was moved or deleted by someone else`);
+            if (current.name !== null && current.name !== OldName) {
+                throw new Error(`"${OldName}" was renamed to "${current.name}" by someone else`);
+            }
+        }
+        return EditOutbox.send(entry);
+    }
+
+    /**
+     * A replayed create got its real id: point the node and any later queued edits at it
+     */
+    static async afterReplay(entry, result) {
+        const tree = $('#assetTree').jstree(true);
+        if (entry.type !== 'create') {
+            EditOutbox.renderBadges();
+            return;
+        }
+        const tempId = entry.tempId;
+        const dependents = EditOutbox._entries.filter(e => EditOutbox.references(e, tempId));
+        if (result === null || result === undefined) {
+            // Saved, but its id couldn't be worked out; edits that point at it can't be sent
+            for (const e of dependents) {
+                await EditOutbox.markConflict(e, new Error(`The server didn't return the id of "${entry.name}"`), false);
+            }
+            const node = tree?.get_node(`node_${tempId}`);
+            if (node) {
+                try { tree.refresh_node(node.parent); } catch (_) {}
+            }
+            return;
+        }
+        const swap = id => (id === tempId ? result : id);
+        for (const e of dependents) {
+            if (e.type === 'create') {
+                e.parentId = swap(e.parentId);
+            } else {
+                e.dto = { ...e.dto, Id: swap(e.dto.Id), OldParentId: swap(e.dto.OldParentId), NewParentId: swap(e.dto.NewParentId) };
+            }
+            await EditOutbox.save(e);
+        }
+        const node = tree?.get_node(`node_${tempId}`);
+        if (node) {
+            tree.set_id(node, `node_${result}`);
+            node.data = { assetId: result, asset: { id: result, name: node.text, parentId: entry.parentId } };
+        }
+        EditOutbox.renderBadges();
+    }
+
+    static references(entry, assetId) {
+        if (entry.type === 'create') return entry.parentId === assetId || entry.tempId === assetId;
+        return [entry.dto.Id, entry.dto.OldParentId, entry.dto.NewParentId].includes(assetId);
+    }
+
+    static async markConflict(entry, err, notify = true) {
+        entry.status = 'conflict';
+        entry.error = err?.message || String(err);
+        entry.force = false;
+        await EditOutbox.save(entry);
+        EditOutbox.render();
+        if (!notify) return;
+        showNotification(`Queued edit not saved: ${entry.error}`, 'warning', {
+            key: 'outbox:conflict',
+            actions: [{ label: 'Review', run: () => EditOutbox.openDialog() }]
+        });
+    }
+
+    /**
+     * Shows a queued create in the tree under its temporary id
+     * @param {Object} tree - #assetTree instance
+     * @param {string} nodeId - Node created by the UI
+     * @param {OutboxEntry} entry
+     */
+    static adoptNode(tree, nodeId, entry) {
+        const node = tree.get_node(nodeId);
+        if (!node) return;
+        tree.set_id(node, `node_${entry.tempId}`);
+        node.data = { assetId: entry.tempId, asset: { id: entry.tempId, name: entry.name, parentId: entry.parentId } };
+        EditOutbox.renderBadges();
+    }
+
+    /**
+     * jsTree loader for #assetTree: the server's children of `obj` with queued edits applied,
+     * so reloading the page or the node keeps showing them
+     */
+    static async loadChildren(obj) {
+        await EditOutbox.ready;
+        const parentId = obj.id === '#' ? 0 : getNodeAssetId(obj);
+        // Children of an asset that only exists in the queue are all queued too
+        const nodes = parentId !== null && parentId < 0 ? [] : await loadAssetTreeChildren(obj);
+        return EditOutbox.overlay(parentId, nodes);
+    }
+
+    static overlay(parentId, nodes) {
+        let result = nodes;
+        const toNode = (id, name) => ({
+            id: `node_${id}`,
+            text: name,
+            children: id > 0 || EditOutbox._entries.some(e => e.type === 'create' && e.parentId === id),
+            data: { assetId: id, asset: { id, name, parentId } }
+        });
+        EditOutbox._entries.forEach(entry => {
+            if (entry.type === 'create') {
+                if (entry.parentId === parentId) result = [...result, toNode(entry.tempId, entry.name)];
+                return;
+            }
+            const { Id, NewParentId, NewName } = entry.dto;
+            const existing = result.find(n => n.data?.assetId === Id);
+            if (existing && NewParentId !== parentId) result = result.filter(n => n !== existing);
+            else if (existing) existing.text = NewName;
+            else if (NewParentId === parentId) result = [...result, toNode(Id, NewName)];
+        });
+        // A paged list's "Show previous…" node stays first and its "Load more…" node last
+        const paging = result.filter(n => TreePaging.isMoreNode(n));
+        return [...paging.filter(n => n.data.previous), ...result.filter(n => !TreePaging.isMoreNode(n)), ...paging.filter(n => !n.data.previous)];
+    }
+
+    static isPendingAsset(assetId) {
+        return EditOutbox._entries.some(e => (e.type === 'create' ? e.tempId : e.dto.Id) === assetId);
+    }
+
+    static describe(entry) {
+        if (entry.type === 'create') return `Add "${entry.name}"`;
+        const { OldParentId, NewParentId, OldName, NewName } = entry.dto;
+        if (OldParentId === NewParentId) return `Rename "${OldName}" to "${NewName}"`;
+        return OldName === NewName ? `Move "${OldName}"` : `Move and rename "${OldName}" to "${NewName}"`;
+    }
+
+    static render() {
+        EditOutbox.renderBadges();
+        const btn = EditOutbox._button;
+        if (!btn) return;
+        const count = EditOutbox._entries.length;
+        const conflict = EditOutbox._entries.some(e => e.status === 'conflict');
+        btn.hidden = !count;
+        btn.classList.toggle('has-conflict', conflict);
+        btn.textContent = `${count} pending${conflict ? ' · conflict' : ''}`;
+        btn.setAttribute('aria-label', `${count} edit${count === 1 ? '' : 's'} waiting to be saved${conflict ? ', one needs attention' : ''}`);
+    }
+
+    static renderBadges() {
+        document.querySelectorAll('#assetTree .jstree-anchor.asset-pending').forEach(a => a.classList.remove('asset-pending'));
+        EditOutbox._entries.forEach(entry => {
+            const id = entry.type === 'create' ? entry.tempId : entry.dto.Id;
+            document.getElementById(`node_${id}_anchor`)?.classList.add('asset-pending');
+        });
+    }
+
+    /**
+     * Lists queued edits; a conflicting one can be applied anyway or discarded
+     */
+    static openDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="app-dialog-body">
+                <h3 class="app-dialog-title">Edits waiting to be saved</h3>
+                <p class="app-dialog-message">They are sent in this order once the server can be reached.</p>
+                <ol class="outbox-list"></ol>
+                <div class="form-buttons">
+                    <button type="button" class="btn btn-sm btn-secondary" data-action="retry">Retry now</button>
+                    <button type="submit" class="btn btn-sm" value="ok">Close</button>
+                </div>
+            </form>
+        `;
+        const list = dialog.querySelector('.outbox-list');
+        const renderList = () => {
+            list.innerHTML = '';
+            if (!EditOutbox._entries.length) {
+                list.innerHTML = '<li class="muted">Nothing is waiting.</li>';
+                return;
+            }
+            EditOutbox._entries.forEach(entry => {
+                const li = document.createElement('li');
+                li.className = entry.status;
+                const label = document.createElement('span');
+                label.textContent = EditOutbox.describe(entry);
+                li.appendChild(label);
+                if (entry.error) {
+                    const error = document.createElement('div');
+                    error.className = 'outbox-error';
+                    error.textContent = entry.error;
+                    li.appendChild(error);
+                }
+                const actions = document.createElement('div');
+                actions.className = 'outbox-actions';
+                if (entry.status === 'conflict') {
+                    const apply = document.createElement('button');
+                    apply.type = 'button';
+                    apply.className = 'action-btn';
+                    apply.textContent = 'Apply anyway';
+                    apply.addEventListener('click', async () => {
+                        entry.force = true;
+                        await EditOutbox.flush();
+                        renderList();
+                    });
+                    actions.appendChild(apply);
+                }
+                const discard = document.createElement('button');
+                discard.type = 'button';
+                discard.className = 'action-btn';
+                discard.textContent = 'Discard';
+                discard.addEventListener('click', async () => {
+                    await EditOutbox.discard(entry);
+                    renderList();
+                });
+                actions.appendChild(discard);
+                li.appendChild(actions);
+                list.appendChild(li);
+            });
+        };
+        dialog.querySelector('[data-action="retry"]').addEventListener('click', async () => {
+            await EditOutbox.flush();
+            renderList();
+        });
+        renderList();
+        dialog.addEventListener('close', () => dialog.remove());
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    }
+
+    /**
+     * Drops a queued edit (with queued edits under an asset it would have created) and reloads
+     * the tree so it shows the server's state again
+     */
+    static async discard(entry) {
+        const drop = [entry];
+        if (entry.type === 'create') {
+            // Children of children too: keep collecting until nothing new references a dropped asset
+            for (let i = 0; i < drop.length; i++) {
+                if (drop[i].type !== 'create') continue;
+                EditOutbox._entries
+                    .filter(e => !drop.includes(e) && EditOutbox.references(e, drop[i].tempId))
+                    .forEach(e => drop.push(e));
+            }
+        }
+        await EditOutbox.remove(drop);
+        $('#assetTree').jstree(true)?.refresh();
+        if (drop.length > 1) showNotification(`Discarded ${drop.length} queued edits`, 'info');
+        EditOutbox.flush();
+    }
+}
+
+/** @type {OutboxEntry[]} Queued edits, oldest first (mirrors IndexedDB) */
+EditOutbox._entries = [];
+EditOutbox._db = null;
+EditOutbox._button = null;
+EditOutbox._flushing = false;
+EditOutbox._retryTimer = null;
+// The last send or replay failed for lack of a connection
+EditOutbox._offline = false;
+// Loaders and submit() wait for the stored queue so a reload shows it from the first paint
+EditOutbox.ready = new Promise(resolve => { EditOutbox._markReady = resolve; });
+
+document.addEventListener('DOMContentLoaded', () => EditOutbox.init());
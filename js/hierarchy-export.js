@@ -0,0 +1,249 @@
+// hierarchy-export.js - Download the asset hierarchy (or one subtree) as JSON, CSV or XML
+
+const EXPORT_FORMATS = {
+    json: { label: 'JSON (nested)', extension: 'json', mime: 'application/json' },
+    csv: { label: 'CSV (id,parentId,name,path,depth)', extension: 'csv', mime: 'text/csv' },
+    xml: { label: 'XML', extension: 'xml', mime: 'application/xml' }
+};
+
+// Separator between names in the CSV path column
+const EXPORT_PATH_SEPARATOR = '/';
+
+/**
+ * Nests flat AssetRecords. Children are sorted by id so files exported on different days diff cleanly.
+ * @param {AssetRecord[]} records
+ * @returns {{id:number, name:string, children:Object[]}[]} Top-level assets
+ */
+function buildNestedHierarchy(records) {
+    const nodes = new Map(records.map(r => [r.id, { id: r.id, name: r.name, children: [] }]));
+    const roots = [];
+    records.forEach(r => {
+        const parent = r.parentId === null ? null : nodes.get(r.parentId);
+        if (parent) parent.children.push(nodes.get(r.id));
+        else roots.push(nodes.get(r.id));
+    });
+    const sortDeep = (list) => {
+        list.sort((a, b) => a.id - b.id);
+        list.forEach(n => sortDeep(n.children));
+        return list;
+    };
+    return sortDeep(roots);
+}
+
+/**
+ * Records in depth-first order (parents before their children), matching the nested exports
+ */
+function orderRecordsDepthFirst(records) {
+    const byId = new Map(records.map(r => [r.id, r]));
+    const ordered = [];
+    const visit = (nodes) => nodes.forEach(n => {
+        ordered.push(byId.get(n.id));
+        visit(n.children);
+    });
+    visit(buildNestedHierarchy(records));
+    return ordered;
+}
+
+function hierarchyToJson(records, meta) {
+    return JSON.stringify({
+        exportedAt: meta.exportedAt,
+        scope: meta.scope,
+        assetCount: records.length,
+        assets: buildNestedHierarchy(records)
+    }, null, 2);
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function hierarchyToCsv(records) {
+    const lines = ['id,parentId,name,path,depth'];
+    orderRecordsDepthFirst(records).forEach(r => {
+        const path = [...r.pathNames, r.name].join(EXPORT_PATH_SEPARATOR);
+        lines.push([r.id, r.parentId ?? '', r.name, path, r.depth].map(csvCell).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function hierarchyToXml(records, meta) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assetHierarchy exportedAt="${xmlEscape(meta.exportedAt)}" scope="${xmlEscape(meta.scope.name)}" assetCount="${records.length}">`
+    ];
+    const visit = (nodes, indent) => nodes.forEach(n => {
+        const attrs = `id="${n.id}" name="${xmlEscape(n.name)}"`;
+        if (!n.children.length) {
+            lines.push(`${indent}<asset ${attrs}/>`);
+            return;
+        }
+        lines.push(`${indent}<asset ${attrs}>`);
+        visit(n.children, indent + '  ');
+        lines.push(`${indent}</asset>`);
+    });
+    visit(buildNestedHierarchy(records), '  ');
+    lines.push('</assetHierarchy>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Saves text as a file through a temporary download link
+ */
+function downloadTextFile(filename, text, mime) {
+    const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Loads the hierarchy fresh from the API and downloads it
+ * @param {Object} options
+ * @param {'json'|'csv'|'xml'} options.format
+ * @param {Object|null} [options.node] - jsTree node to export with its subtree; null = whole tree
+ * @param {function(number):void} [options.onProgress]
+ * @returns {Promise<number>} Number of assets exported
+ */
+async function exportAssetHierarchy({ format, node = null, onProgress }) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+    let records;
+    let scope;
+    if (node) {
+        // Start from the subtree root itself, keeping its real ancestors in every path
+        const tree = $('#assetTree').jstree(true);
+        const rootId = getNodeAssetId(node);
+        const ancestors = node.parents.filter(p => p !== '#').reverse().map(id => tree.get_node(id));
+        const pathIds = ancestors.map(getNodeAssetId);
+        const pathNames = ancestors.map(a => a.text);
+        const rootRecord = {
+            id: rootId,
+            name: node.text,
+            parentId: pathIds.length ? pathIds[pathIds.length - 1] : null,
+            depth: ancestors.length + 1,
+            pathIds,
+            pathNames,
+            childIds: []
+        };
+        const descendants = await walkAssetHierarchy({
+            rootId,
+            baseDepth: rootRecord.depth,
+            basePathIds: [...pathIds, rootId],
+            basePathNames: [...pathNames, node.text],
+            onProgress: count => onProgress && onProgress(count + 1)
+        });
+        records = [rootRecord, ...descendants];
+        scope = { type: 'subtree', id: rootId, name: node.text };
+    } else {
+        records = await walkAssetHierarchy({ onProgress });
+        scope = { type: 'all', id: null, name: 'All assets' };
+    }
+
+    const meta = { exportedAt: new Date().toISOString(), scope };
+    const text = format === 'json' ? hierarchyToJson(records, meta)
+        : format === 'csv' ? hierarchyToCsv(records)
+        : hierarchyToXml(records, meta);
+    const suffix = node ? `-asset-${scope.id}` : '';
+    downloadTextFile(`asset-hierarchy${suffix}-${meta.exportedAt.slice(0, 10)}.${spec.extension}`, text, spec.mime);
+    return records.length;
+}
+
+/**
+ * Export dialog: whole tree or the selected subtree, in one of EXPORT_FORMATS
+ * @param {Object|null} [presetNode] - Preselect "subtree" for this node (e.g. from the context menu)
+ */
+function openExportDialog(presetNode = null) {
+    const tree = $('#assetTree').jstree(true);
+    const selected = tree ? tree.get_selected(true) : [];
+    const subtreeNode = presetNode || (selected.length === 1 ? selected[0] : null);
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'app-dialog';
+    dialog.innerHTML = `
+        <form method="dialog" class="app-dialog-body">
+            <h3 class="app-dialog-title">Export asset hierarchy</h3>
+            <fieldset class="form-group export-options">
+                <legend>What to export</legend>
+                <label class="checkbox"><input type="radio" name="scope" value="all"> Whole tree</label>
+                <label class="checkbox"><input type="radio" name="scope" value="subtree"> <span class="export-subtree-label"></span></label>
+            </fieldset>
+            <fieldset class="form-group export-options export-formats">
+                <legend>Format</legend>
+            </fieldset>
+            <div class="field-info export-status" aria-live="polite"></div>
+            <div class="form-buttons">
+                <button type="button" class="btn btn-sm btn-secondary" value="cancel">Cancel</button>
+                <button type="submit" class="btn btn-sm" value="ok">Export</button>
+            </div>
+        </form>
+    `;
+    const form = dialog.querySelector('form');
+    const subtreeRadio = form.querySelector('input[value="subtree"]');
+    dialog.querySelector('.export-subtree-label').textContent = subtreeNode
+        ? `Subtree of "${subtreeNode.text}"`
+        : 'Selected subtree (select one asset first)';
+    subtreeRadio.disabled = !subtreeNode;
+    (subtreeNode && presetNode ? subtreeRadio : form.querySelector('input[value="all"]')).checked = true;
+
+    const formats = dialog.querySelector('.export-formats');
+    Object.entries(EXPORT_FORMATS).forEach(([key, spec], i) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox';
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'format';
+        input.value = key;
+        input.checked = i === 0;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${spec.label}`));
+        formats.appendChild(label);
+    });
+
+    const status = dialog.querySelector('.export-status');
+    const submitBtn = form.querySelector('button[value="ok"]');
+    form.querySelector('button[value="cancel"]').addEventListener('click', () => dialog.close());
+    form.addEventListener('submit', async (e) => {
+        // Keep the dialog open while the hierarchy loads
+        e.preventDefault();
+        const format = form.querySelector('input[name="format"]:checked').value;
+        const node = form.querySelector('input[name="scope"]:checked').value === 'subtree' ? subtreeNode : null;
+        submitBtn.disabled = true;
+        status.textContent = 'Loading hierarchy…';
+        try {
+            const count = await exportAssetHierarchy({
+                format,
+                node,
+                onProgress: n => { status.textContent = `Loading hierarchy… ${n} assets`; }
+            });
+            showNotification(`Exported ${count} asset${count === 1 ? '' : 's'} as ${format.toUpperCase()}`, 'success');
+            dialog.close();
+        } catch (err) {
+            status.textContent = 'Export failed: ' + (err?.message || err);
+            submitBtn.disabled = false;
+        }
+    });
+    dialog.addEventListener('close', () => dialog.remove());
+    document.body.appendChild(dialog);
+    dialog.showModal();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const btn = document.getElementById('exportTreeBtn');
+    if (btn) btn.addEventListener('click', () => openExportDialog());
+});
@@ -0,0 +1,604 @@
+// hierarchy-import.js - Create a hierarchy from a JSON/CSV file under a chosen parent asset
+
+// Progress of the running (or last failed) import; lets an interrupted import resume after a reload
+const IMPORT_LOG_STORAGE_KEY = 'assetImportLog';
+
+/**
+ * @typedef {Object} ImportItem
+ * @property {string} key - Id from the file (flat shapes) or a generated one (nested JSON)
+ * @property {string|null} parentKey - null for assets placed directly under the target
+ * @property {string} name
+ * @property {string} source - Where the item came from, for error messages (e.g. "line 4")
+ */
+
+/**
+ * @typedef {Object} ImportPlanEntry
+ * @property {string} key
+ * @property {string|null} parentKey
+ * @property {string} name
+ * @property {'new'|'existing'} status - existing = an asset with this name is already there and is reused
+ * @property {number|null} existingId
+ */
+
+class HierarchyImport {
+    /**
+     * Parses an export file into flat items. Accepted shapes:
+     * JSON nested ({ assets: [{ name, children }] } or a bare array of such nodes),
+     * JSON flat ([{ id, parentId, name }]) and CSV with at least id,name (parentId optional).
+     * @param {string} text
+     * @param {string} fileName
+     * @returns {{items: ImportItem[], errors: string[]}}
+     */
+    static parse(text, fileName) {
+        const isCsv = /\.csv$/i.test(fileName) || !/^\s*[[{]/.test(text);
+        const { items, errors } = isCsv ? HierarchyImport.parseCsv(text) : HierarchyImport.parseJson(text);
+        if (!errors.length) errors.push(...HierarchyImport.validate(items));
+        return { items, errors };
+    }
+
+    static parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            return { items: [], errors: [`Not valid JSON: ${err.message}`] };
+        }
+        let list = Array.isArray(data) ? data : (data?.assets ?? data?.Assets ?? (data && typeof data === 'object' ? [data] : null));
+        if (!Array.isArray(list)) return { items: [], errors: ['Expected an array of assets or an object with an "assets" array'] };
+
+        const childrenOf = n => n?.children ?? n?.Children ?? n?.Childrens ?? n?.childrens;
+        const hasParentIds = list.some(n => n && ('parentId' in n || 'ParentId' in n));
+        const isNested = !hasParentIds || list.some(n => Array.isArray(childrenOf(n)));
+
+        if (!isNested) {
+            return HierarchyImport.fromFlatRows(list.map((n, i) => ({
+                id: n?.id ?? n?.Id,
+                parentId: n?.parentId ?? n?.ParentId,
+                name: n?.name ?? n?.Name,
+                source: `entry ${i + 1}`
+            })));
+        }
+
+        const items = [];
+        const errors = [];
+        let counter = 0;
+        const visit = (nodes, parentKey, trail) => nodes.forEach((n, i) => {
+            const source = `${trail}[${i}]`;
+            if (!n || typeof n !== 'object') {
+                errors.push(`${source}: expected an object`);
+                return;
+            }
+            const key = `n${++counter}`;
+            items.push({ key, parentKey, name: String(n.name ?? n.Name ?? '').trim(), source });
+            const children = childrenOf(n);
+            if (children !== undefined && children !== null && !Array.isArray(children)) {
+                errors.push(`${source}: "children" must be an array`);
+            } else if (children) {
+                visit(children, key, `${source}.children`);
+            }
+        });
+        visit(list, null, 'assets');
+        return { items, errors };
+    }
+
+    static parseCsv(text) {
+        const rows = HierarchyImport.readCsvRows(text).filter(r => r.cells.some(c => c.trim() !== ''));
+        if (!rows.length) return { items: [], errors: ['The file is empty'] };
+        const header = rows[0].cells.map(h => h.trim().toLowerCase());
+        const col = name => header.indexOf(name);
+        if (col('id') < 0 || col('name') < 0) {
+            return { items: [], errors: ['CSV needs a header row with at least "id" and "name" columns (parentId is optional)'] };
+        }
+        return HierarchyImport.fromFlatRows(rows.slice(1).map(r => ({
+            id: r.cells[col('id')],
+            parentId: col('parentid') < 0 ? null : r.cells[col('parentid')],
+            name: r.cells[col('name')],
+            source: `line ${r.line}`
+        })));
+    }
+
+    /**
+     * Splits CSV text into rows of cells, honouring quoted cells with commas, quotes and newlines
+     * @returns {{line:number, cells:string[]}[]}
+     */
+    static readCsvRows(text) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        const src = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (quoted) {
+                if (ch === '"' && src[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    if (ch === '\n') line++;
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                cells.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                cells.push(cell);
+                rows.push({ line: rowLine, cells });
+                cells = [];
+                cell = '';
+                rowLine = ++line;
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || cells.length) {
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+        }
+        return rows;
+    }
+
+    /**
+     * Turns id/parentId/name rows into items. A parentId that isn't in the file (or is empty)
+     * puts the asset directly under the import target, so subtree exports import as-is.
+     */
+    static fromFlatRows(rows) {
+        const errors = [];
+        const items = [];
+        const seen = new Set();
+        rows.forEach(r => {
+            const key = r.id === null || r.id === undefined ? '' : String(r.id).trim();
+            if (!key) {
+                errors.push(`${r.source}: missing id`);
+                return;
+            }
+            if (seen.has(key)) {
+                errors.push(`${r.source}: duplicate id ${key}`);
+                return;
+            }
+            seen.add(key);
+            const parentKey = r.parentId === null || r.parentId === undefined ? '' : String(r.parentId).trim();
+            items.push({ key, parentKey: parentKey || null, name: String(r.name ?? '').trim(), source: r.source });
+        });
+        items.forEach(item => {
+            if (item.parentKey !== null && !seen.has(item.parentKey)) item.parentKey = null;
+        });
+
+        // Follow every parent chain; coming back to an id already on the chain means a cycle
+        const byKey = new Map(items.map(i => [i.key, i]));
+        const inCycle = new Set();
+        items.forEach(item => {
+            const chain = [];
+            let cur = item;
+            while (cur && !inCycle.has(cur.key)) {
+                const at = chain.indexOf(cur.key);
+                if (at >= 0) {
+                    const cycle = chain.slice(at);
+                    cycle.forEach(k => inCycle.add(k));
+                    errors.push(`Cycle in parent ids: ${[...cycle, cur.key].join(' → ')}`);
+                    break;
+                }
+                chain.push(cur.key);
+                cur = cur.parentKey === null ? null : byKey.get(cur.parentKey);
+            }
+        });
+        return { items, errors };
+    }
+
+    /**
+     * Checks names: required, length and duplicates among siblings in the file
+     * @param {ImportItem[]} items
+     * @returns {string[]}
+     */
+    static validate(items) {
+        const errors = [];
+        if (!items.length) errors.push('The file contains no assets');
+        const siblingNames = new Map();
+        items.forEach(item => {
+            if (!item.name) {
+                errors.push(`${item.source}: name is required`);
+                return;
+            }
+            if (item.name.length > ASSET_NAME_MAX_LENGTH) {
+                errors.push(`${item.source}: name must be at most ${ASSET_NAME_MAX_LENGTH} characters`);
+            }
+            const groupKey = `${item.parentKey ?? ''}\u0000${item.name.toLowerCase()}`;
+            if (siblingNames.has(groupKey)) {
+                errors.push(`${item.source}: "${item.name}" appears twice under the same parent (also ${siblingNames.get(groupKey)})`);
+            } else {
+                siblingNames.set(groupKey, item.source);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Dry run: compares the items with what already exists below the target.
+     * Assets whose name already exists at the same place are reused instead of created.
+     * @param {ImportItem[]} items
+     * @param {number} targetId
+     * @returns {Promise<{entries: ImportPlanEntry[], existing: AssetRecord[]}>} Entries with parents before children
+     */
+    static async plan(items, targetId) {
+        const existing = await walkAssetHierarchy({ rootId: targetId });
+        const childrenByParent = new Map();
+        existing.forEach(r => {
+            if (!childrenByParent.has(r.parentId)) childrenByParent.set(r.parentId, new Map());
+            childrenByParent.get(r.parentId).set(r.name.toLowerCase(), r);
+        });
+
+        const childItems = new Map();
+        items.forEach(item => {
+            if (!childItems.has(item.parentKey)) childItems.set(item.parentKey, []);
+            childItems.get(item.parentKey).push(item);
+        });
+
+        const entries = [];
+        const visit = (parentKey, existingParentId) => (childItems.get(parentKey) || []).forEach(item => {
+            const match = existingParentId === null ? null : childrenByParent.get(existingParentId)?.get(item.name.toLowerCase());
+            entries.push({
+                key: item.key,
+                parentKey: item.parentKey,
+                name: item.name,
+                status: match ? 'existing' : 'new',
+                existingId: match ? match.id : null
+            });
+            visit(item.key, match ? match.id : null);
+        });
+        visit(null, targetId);
+        return { entries, existing };
+    }
+
+    static readLog() {
+        try {
+            return JSON.parse(localStorage.getItem(IMPORT_LOG_STORAGE_KEY) || 'null');
+        } catch (_) {
+            return null;
+        }
+    }
+
+    static saveLog(log) {
+        localStorage.setItem(IMPORT_LOG_STORAGE_KEY, JSON.stringify(log));
+    }
+
+    static clearLog() {
+        localStorage.removeItem(IMPORT_LOG_STORAGE_KEY);
+    }
+
+    /**
+     * Creates the planned assets one at a time (APP_CONFIG.importThrottleMs apart), mapping each
+     * file id to the new server id so children are created under the right parent.
+     * The log is saved after every asset; running it again skips what is already done.
+     * @param {Object} log - From startLog() or readLog()
+     * @param {function(number, number):void} [onProgress] - (done, total)
+     * @returns {Promise<Object>} The finished log
+     */
+    static async run(log, onProgress) {
+        HierarchyImport._running = true;
+        HierarchyImport._stopRequested = false;
+        const total = log.entries.length;
+        const knownChildren = new Map();
+        try {
+            if (EditOutbox.hasPending()) throw new Error('Edits are still queued in the outbox; save or discard them first');
+            for (const entry of log.entries) {
+                if (log.idMap[entry.key] !== undefined) continue;
+                if (HierarchyImport._stopRequested) throw new Error('Stopped');
+                if (entry.status === 'existing') {
+                    log.idMap[entry.key] = entry.existingId;
+                } else {
+                    const parentId = entry.parentKey === null ? log.target.assetId : log.idMap[entry.parentKey];
+                    if (parentId === undefined) throw new Error(`Parent of "${entry.name}" was not created`);
+                    if (!knownChildren.has(parentId)) knownChildren.set(parentId, await fetchChildAssetIds(parentId));
+                    const id = await createAssetNodeWithId(parentId, entry.name, knownChildren.get(parentId));
+                    if (id === null) throw new Error(`Created "${entry.name}" but could not find its new ID`);
+                    knownChildren.get(parentId).add(id);
+                    knownChildren.set(id, new Set());
+                    log.idMap[entry.key] = id;
+                    log.created++;
+                }
+                log.lastError = null;
+                HierarchyImport.saveLog(log);
+                if (onProgress) onProgress(Object.keys(log.idMap).length, total);
+                if (entry.status === 'new') await new Promise(r => setTimeout(r, APP_CONFIG.importThrottleMs ?? 0));
+            }
+            HierarchyImport.clearLog();
+            return log;
+        } catch (err) {
+            log.lastError = err?.message || String(err);
+            HierarchyImport.saveLog(log);
+            throw err;
+        } finally {
+            HierarchyImport._running = false;
+        }
+    }
+
+    static startLog(fileName, target, entries) {
+        const log = {
+            fileName,
+            target,
+            startedAt: new Date().toISOString(),
+            entries,
+            idMap: {},
+            created: 0,
+            lastError: null
+        };
+        HierarchyImport.saveLog(log);
+        return log;
+    }
+
+    /**
+     * Renders the dry-run diff: the target's current subtree merged with the file,
+     * new assets marked "+", reused ones "=" and untouched existing ones dimmed
+     */
+    static renderDiff(container, target, plan) {
+        const existingChildren = new Map();
+        plan.existing.forEach(r => {
+            if (!existingChildren.has(r.parentId)) existingChildren.set(r.parentId, []);
+            existingChildren.get(r.parentId).push(r);
+        });
+        const entryChildren = new Map();
+        plan.entries.forEach(e => {
+            if (!entryChildren.has(e.parentKey)) entryChildren.set(e.parentKey, []);
+            entryChildren.get(e.parentKey).push(e);
+        });
+
+        const makeItem = (cls, marker, name) => {
+            const li = document.createElement('li');
+            li.className = cls;
+            const label = document.createElement('span');
+            label.textContent = `${marker} ${name}`;
+            li.appendChild(label);
+            return li;
+        };
+        const build = (existingId, entryKey) => {
+            const ul = document.createElement('ul');
+            const entries = entryKey === undefined ? [] : (entryChildren.get(entryKey) || []);
+            const reused = new Set(entries.filter(e => e.existingId !== null).map(e => e.existingId));
+            entries.forEach(e => {
+                const li = makeItem(e.status === 'new' ? 'diff-new' : 'diff-existing', e.status === 'new' ? '+' : '=', e.name);
+                const sub = build(e.existingId, e.key);
+                if (sub.children.length) li.appendChild(sub);
+                ul.appendChild(li);
+            });
+            (existingId === null ? [] : existingChildren.get(existingId) || [])
+                .filter(r => !reused.has(r.id))
+                .forEach(r => {
+                    const li = makeItem('diff-unchanged', ' ', r.name);
+                    const sub = build(r.id, undefined);
+                    if (sub.children.length) li.appendChild(sub);
+                    ul.appendChild(li);
+                });
+            return ul;
+        };
+
+        container.innerHTML = '';
+        const root = document.createElement('ul');
+        const top = makeItem('diff-unchanged diff-target', ' ', target.path || target.name);
+        top.appendChild(build(target.assetId, null));
+        root.appendChild(top);
+        container.appendChild(root);
+    }
+
+    /**
+     * Import dialog. The target is the given node, else the single selected node, else picked in the dialog.
+     * @param {Object|null} [presetNode]
+     */
+    static openDialog(presetNode = null) {
+        if (HierarchyImport._running) {
+            showNotification('An import is already running', 'warning');
+            return;
+        }
+        const tree = $('#assetTree').jstree(true);
+        const selected = tree ? tree.get_selected(true) : [];
+        const node = presetNode || (selected.length === 1 ? selected[0] : null);
+        let target = node ? { assetId: getNodeAssetId(node), name: node.text, path: tree.get_path(node, ' › ') } : null;
+        let parsed = null;
+        let fileName = '';
+        let plan = null;
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog import-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="app-dialog-body">
+                <h3 class="app-dialog-title">Import assets</h3>
+                <div class="import-resume" hidden>
+                    <p class="app-dialog-message import-resume-text"></p>
+                    <div class="form-buttons">
+                        <button type="button" class="btn btn-sm btn-secondary import-discard">Discard log</button>
+                        <button type="button" class="btn btn-sm import-resume-btn">Resume import</button>
+                    </div>
+                </div>
+                <div class="import-setup">
+                    <div class="form-group">
+                        <label>Import into</label>
+                        <div class="import-target-row">
+                            <span class="import-target muted"></span>
+                            <button type="button" class="btn btn-sm btn-secondary import-choose">Choose…</button>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="importFileInput">File (JSON or CSV)</label>
+                        <input type="file" id="importFileInput" class="form-control" accept=".json,.csv,application/json,text/csv">
+                        <div class="field-info">Nested JSON as exported, or flat rows with id, parentId and name</div>
+                    </div>
+                    <ul class="bulk-report import-errors" hidden></ul>
+                    <div class="import-summary field-info"></div>
+                    <div class="import-diff" hidden></div>
+                </div>
+                <div class="bulk-progress import-progress" hidden>
+                    <div class="bulk-progress-track" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                        <div class="bulk-progress-bar"></div>
+                    </div>
+                    <span class="bulk-progress-label"></span>
+                </div>
+                <div class="form-buttons">
+                    <button type="button" class="btn btn-sm btn-secondary import-cancel">Close</button>
+                    <button type="button" class="btn btn-sm import-start" disabled>Import</button>
+                </div>
+            </form>
+        `;
+        const $q = sel => dialog.querySelector(sel);
+        const targetEl = $q('.import-target');
+        const errorsEl = $q('.import-errors');
+        const summaryEl = $q('.import-summary');
+        const diffEl = $q('.import-diff');
+        const startBtn = $q('.import-start');
+        const cancelBtn = $q('.import-cancel');
+
+        const renderTarget = () => {
+            targetEl.textContent = target ? target.path : 'No parent chosen';
+        };
+        const showErrors = (errors) => {
+            errorsEl.innerHTML = '';
+            errors.slice(0, 50).forEach(msg => {
+                const li = document.createElement('li');
+                li.className = 'failed';
+                li.textContent = msg;
+                errorsEl.appendChild(li);
+            });
+            if (errors.length > 50) {
+                const li = document.createElement('li');
+                li.className = 'failed';
+                li.textContent = `…and ${errors.length - 50} more`;
+                errorsEl.appendChild(li);
+            }
+            errorsEl.hidden = !errors.length;
+        };
+        const renderProgress = (done, total) => {
+            const wrap = $q('.import-progress');
+            wrap.hidden = false;
+            const pct = total ? Math.round((done / total) * 100) : 100;
+            wrap.querySelector('.bulk-progress-track').setAttribute('aria-valuenow', String(pct));
+            wrap.querySelector('.bulk-progress-bar').style.width = `${pct}%`;
+            wrap.querySelector('.bulk-progress-label').textContent = `${done} / ${total}`;
+        };
+
+        // Re-run the dry run whenever the file or the target changes
+        const refreshPlan = async () => {
+            plan = null;
+            startBtn.disabled = true;
+            diffEl.hidden = true;
+            summaryEl.textContent = '';
+            if (!parsed) return;
+            showErrors(parsed.errors);
+            if (parsed.errors.length || !target) {
+                if (!target && !parsed.errors.length) summaryEl.textContent = 'Choose the parent to import into';
+                return;
+            }
+            summaryEl.textContent = 'Comparing with the current tree…';
+            try {
+                const forTarget = target;
+                const forParsed = parsed;
+                const result = await HierarchyImport.plan(parsed.items, target.assetId);
+                // The file or target changed while loading; that change started its own dry run
+                if (forTarget !== target || forParsed !== parsed) return;
+                plan = result;
+            } catch (err) {
+                summaryEl.textContent = 'Could not load the current tree: ' + (err?.message || err);
+                return;
+            }
+            const created = plan.entries.filter(e => e.status === 'new').length;
+            const reused = plan.entries.length - created;
+            summaryEl.textContent = `${created} new asset${created === 1 ? '' : 's'} will be created` +
+                (reused ? `, ${reused} already exist and will be reused (=)` : '');
+            HierarchyImport.renderDiff(diffEl, target, plan);
+            diffEl.hidden = false;
+            startBtn.disabled = created === 0;
+        };
+
+        const execute = async (log) => {
+            $q('.import-setup').hidden = true;
+            $q('.import-resume').hidden = true;
+            startBtn.hidden = true;
+            cancelBtn.textContent = 'Stop';
+            summaryEl.textContent = '';
+            renderProgress(Object.keys(log.idMap).length, log.entries.length);
+            try {
+                const finished = await HierarchyImport.run(log, renderProgress);
+                showNotification(`Imported ${finished.created} asset${finished.created === 1 ? '' : 's'} into "${finished.target.name}"`, 'success');
+                dialog.close();
+            } catch (err) {
+                const done = Object.keys(log.idMap).length;
+                $q('.import-resume-text').textContent =
+                    `Import stopped after ${done} of ${log.entries.length}: ${log.lastError}. ` +
+                    'Progress is saved; resume now or later from this dialog.';
+                $q('.import-resume').hidden = false;
+                cancelBtn.textContent = 'Close';
+                showNotification('Import stopped: ' + log.lastError, 'error');
+            } finally {
+                // New assets show up once their parent reloads
+                const targetNode = tree && tree.get_node(`node_${log.target.assetId}`);
+                if (targetNode) tree.refresh_node(targetNode);
+                HierarchyIndex.scheduleReload();
+            }
+        };
+
+        const pending = HierarchyImport.readLog();
+        if (pending) {
+            const done = Object.keys(pending.idMap).length;
+            $q('.import-resume-text').textContent =
+                `An import of "${pending.fileName}" into ${pending.target.path} is unfinished (${done} of ${pending.entries.length} done` +
+                (pending.lastError ? `, stopped: ${pending.lastError}` : '') + ').';
+            $q('.import-resume').hidden = false;
+            $q('.import-setup').hidden = true;
+        }
+        $q('.import-resume-btn').addEventListener('click', () => execute(HierarchyImport.readLog() || pending));
+        $q('.import-discard').addEventListener('click', () => {
+            HierarchyImport.clearLog();
+            $q('.import-resume').hidden = true;
+            $q('.import-setup').hidden = false;
+            $q('.import-progress').hidden = true;
+        });
+
+        $q('.import-choose').addEventListener('click', async () => {
+            const picked = await AssetParentPicker.pick({ title: 'Import into…', confirmLabel: 'Import here' });
+            if (!picked) return;
+            target = picked;
+            renderTarget();
+            refreshPlan();
+        });
+        $q('#importFileInput').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            parsed = null;
+            showErrors([]);
+            if (!file) {
+                refreshPlan();
+                return;
+            }
+            fileName = file.name;
+            parsed = HierarchyImport.parse(await file.text(), file.name);
+            refreshPlan();
+        });
+        startBtn.addEventListener('click', () => {
+            if (!plan || !target) return;
+            execute(HierarchyImport.startLog(fileName, target, plan.entries));
+        });
+        cancelBtn.addEventListener('click', () => {
+            if (HierarchyImport._running) HierarchyImport._stopRequested = true;
+            else dialog.close();
+        });
+        // Escape must not hide the dialog while assets are still being created
+        dialog.addEventListener('cancel', (e) => {
+            if (HierarchyImport._running) e.preventDefault();
+        });
+        dialog.addEventListener('close', () => dialog.remove());
+
+        renderTarget();
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    }
+}
+
+HierarchyImport._running = false;
+HierarchyImport._stopRequested = false;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const btn = document.getElementById('importTreeBtn');
+    if (btn) btn.addEventListener('click', () => HierarchyImport.openDialog());
+});
@@ -0,0 +1,163 @@
+// hierarchy-index.js - Cached, event-maintained copy of the whole asset hierarchy
+// Shared by the stat cards and search so the hierarchy is only walked once.
+
+// Walk the API again at most this often; SignalR events keep the index current in between
+const HIERARCHY_INDEX_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Events we cannot apply in place (unknown parent, unparseable payload) trigger a full reload after this delay
+const HIERARCHY_INDEX_RELOAD_DELAY_MS = 2000;
+
+class HierarchyIndex {
+    /**
+     * Returns the cached records, walking the hierarchy first when there is no fresh copy
+     * @param {boolean} [force] - Ignore the cache
+     * @returns {Promise<Map<number, AssetRecord>>}
+     */
+    static load(force = false) {
+        const fresh = HierarchyIndex.records && Date.now() - HierarchyIndex._loadedAt < HIERARCHY_INDEX_TTL_MS;
+        if (!force && fresh) return Promise.resolve(HierarchyIndex.records);
+        if (HierarchyIndex._loading) return HierarchyIndex._loading;
+
+        HierarchyIndex._loading = walkAssetHierarchy()
+            .then(records => {
+                HierarchyIndex.records = new Map(records.map(r => [r.id, r]));
+                HierarchyIndex._loadedAt = Date.now();
+                HierarchyIndex.notify();
+                return HierarchyIndex.records;
+            })
+            .finally(() => {
+                HierarchyIndex._loading = null;
+            });
+        return HierarchyIndex._loading;
+    }
+
+    /**
+     * Registers a callback run whenever the index is (re)loaded or changed by an event
+     * @param {function(Map<number, AssetRecord>):void} listener
+     */
+    static onChange(listener) {
+        HierarchyIndex._listeners.push(listener);
+    }
+
+    static notify() {
+        HierarchyIndex._listeners.forEach(listener => {
+            try { listener(HierarchyIndex.records); } catch (err) { console.error('Hierarchy index listener failed:', err); }
+        });
+    }
+
+    /**
+     * Applies a DeviceAdded event to the cached hierarchy
+     */
+    static applyAdded(payload) {
+        const records = HierarchyIndex.records;
+        if (!records) return;
+        const { id, name, parentId } = normalizeAsset(payload);
+        if (id !== null && records.has(id)) return;
+        // Payloads without a known parent (or without a parent at all) can't be placed: reload instead
+        const parent = parentId === null ? null : records.get(parentId);
+        if (id === null || !parent) {
+            HierarchyIndex.scheduleReload();
+            return;
+        }
+        records.set(id, {
+            id,
+            name: name ?? String(id),
+            parentId,
+            depth: parent.depth + 1,
+            pathIds: [...parent.pathIds, parent.id],
+            pathNames: [...parent.pathNames, parent.name],
+            childIds: [],
+            raw: payload
+        });
+        parent.childIds.push(id);
+        HierarchyIndex.notify();
+    }
+
+    /**
+     * Applies a DeviceUpdated event (rename and/or move) to the cached hierarchy
+     */
+    static applyUpdated(payload) {
+        const records = HierarchyIndex.records;
+        if (!records) return;
+        const { id, name, parentId } = normalizeAsset(payload);
+        const record = id === null ? null : records.get(id);
+        if (!record) {
+            HierarchyIndex.scheduleReload();
+            return;
+        }
+        if (name) record.name = name;
+        if (parentId !== null && parentId !== record.parentId) {
+            const newParent = records.get(parentId);
+            if (!newParent) {
+                HierarchyIndex.scheduleReload();
+                return;
+            }
+            const oldParent = records.get(record.parentId);
+            if (oldParent) oldParent.childIds = oldParent.childIds.filter(c => c !== id);
+            newParent.childIds.push(id);
+            record.parentId = parentId;
+        }
+        HierarchyIndex.rebuildPaths(record);
+        HierarchyIndex.notify();
+    }
+
+    /**
+     * Applies a DeviceRemoved event; the asset's whole subtree goes with it
+     */
+    static applyRemoved(payload) {
+        const records = HierarchyIndex.records;
+        if (!records) return;
+        const { id } = normalizeAsset(payload);
+        const record = id === null ? null : records.get(id);
+        if (!record) return;
+        const parent = records.get(record.parentId);
+        if (parent) parent.childIds = parent.childIds.filter(c => c !== id);
+        const stack = [id];
+        while (stack.length) {
+            const current = records.get(stack.pop());
+            if (!current) continue;
+            stack.push(...current.childIds);
+            records.delete(current.id);
+        }
+        HierarchyIndex.notify();
+    }
+
+    /**
+     * Recomputes depth and ancestor paths of a record and its descendants after a rename or move
+     */
+    static rebuildPaths(record) {
+        const records = HierarchyIndex.records;
+        const stack = [record];
+        while (stack.length) {
+            const current = stack.pop();
+            const parent = current.parentId === null ? null : records.get(current.parentId);
+            current.depth = parent ? parent.depth + 1 : 1;
+            current.pathIds = parent ? [...parent.pathIds, parent.id] : [];
+            current.pathNames = parent ? [...parent.pathNames, parent.name] : [];
+            current.childIds.forEach(c => {
+                const child = records.get(c);
+                if (child) stack.push(child);
+            });
+        }
+    }
+
+    static scheduleReload() {
+        if (HierarchyIndex._reloadTimer) return;
+        HierarchyIndex._reloadTimer = setTimeout(() => {
+            HierarchyIndex._reloadTimer = null;
+            HierarchyIndex.load(true).catch(err => console.error('Failed to reload hierarchy index:', err));
+        }, HIERARCHY_INDEX_RELOAD_DELAY_MS);
+    }
+}
+
+/** @type {Map<number, AssetRecord>|null} */
+HierarchyIndex.records = null;
+HierarchyIndex._loadedAt = 0;
+HierarchyIndex._loading = null;
+HierarchyIndex._reloadTimer = null;
+HierarchyIndex._listeners = [];
+
+// Keep the index current from the notifications hub (events re-broadcast by notifications.js)
+document.addEventListener('hub:DeviceAdded', (e) => HierarchyIndex.applyAdded(e.detail));
+document.addEventListener('hub:DeviceUpdated', (e) => HierarchyIndex.applyUpdated(e.detail));
+document.addEventListener('hub:DeviceRemoved', (e) => HierarchyIndex.applyRemoved(e.detail));
@@ -0,0 +1,102 @@
+// hierarchy-stats.js - Fills the Total Assets / Largest Branch / Maximum Depth stat cards
+
+class HierarchyStats {
+    /**
+     * Loads the hierarchy (unless the cached copy is still fresh) and renders the cards
+     * @param {boolean} [force] - Ignore the cache
+     * @returns {Promise<Object|null>} The computed stats, or null if loading failed
+     */
+    static refresh(force = false) {
+        if (!HierarchyIndex.records) HierarchyStats.renderPlaceholder('…');
+        return HierarchyIndex.load(force)
+            .then(() => {
+                HierarchyStats.render();
+                return HierarchyStats.compute();
+            })
+            .catch(err => {
+                console.error('Failed to compute hierarchy statistics:', err);
+                if (!HierarchyIndex.records) HierarchyStats.renderPlaceholder('-');
+                return null;
+            });
+    }
+
+    /**
+     * @returns {{totalAssets:number, maxDepth:number, largestBranch:({id:number, name:string, size:number, pathIds:number[]}|null)}}
+     */
+    static compute() {
+        const records = HierarchyIndex.records || new Map();
+        let maxDepth = 0;
+        const roots = [];
+        for (const r of records.values()) {
+            if (r.depth > maxDepth) maxDepth = r.depth;
+            if (r.parentId === null) roots.push(r);
+        }
+
+        // Subtree size including the node itself
+        const sizes = new Map();
+        const sizeOf = (id) => {
+            if (sizes.has(id)) return sizes.get(id);
+            const r = records.get(id);
+            let size = 1;
+            for (const childId of (r ? r.childIds : [])) size += sizeOf(childId);
+            sizes.set(id, size);
+            return size;
+        };
+
+        // With a single root every asset is in its branch, so compare the root's children instead
+        const branchIds = roots.length === 1 ? roots[0].childIds : roots.map(r => r.id);
+        let largestBranch = null;
+        for (const id of branchIds) {
+            const size = sizeOf(id);
+            if (!largestBranch || size > largestBranch.size) {
+                const r = records.get(id);
+                largestBranch = { id, name: r.name, size, pathIds: r.pathIds };
+            }
+        }
+
+        return { totalAssets: records.size, maxDepth, largestBranch };
+    }
+
+    static render() {
+        const stats = HierarchyStats.compute();
+        const totalEl = document.getElementById('totalAssets');
+        const depthEl = document.getElementById('maxDepth');
+        const branchEl = document.getElementById('largestBranch');
+        if (totalEl) totalEl.textContent = stats.totalAssets;
+        if (depthEl) depthEl.textContent = stats.maxDepth;
+        if (!branchEl) return;
+
+        branchEl.innerHTML = '';
+        if (!stats.largestBranch) {
+            branchEl.textContent = '-';
+            return;
+        }
+        const { id, name, size, pathIds } = stats.largestBranch;
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'stat-link';
+        link.textContent = name;
+        link.title = `Show "${name}" in the tree`;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            revealAssetNode([...pathIds, id]).catch(err => {
+                showNotification('Could not show branch: ' + (err?.message || err), 'error');
+            });
+        });
+        const count = document.createElement('div');
+        count.className = 'stat-sub';
+        count.textContent = `${size} asset${size === 1 ? '' : 's'}`;
+        branchEl.appendChild(link);
+        branchEl.appendChild(count);
+    }
+
+    static renderPlaceholder(text) {
+        ['totalAssets', 'largestBranch', 'maxDepth'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        });
+    }
+}
+
+// Re-render whenever the shared index is reloaded or patched by a SignalR event
+HierarchyIndex.onChange(() => HierarchyStats.render());
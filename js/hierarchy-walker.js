@@ -0,0 +1,145 @@
+// hierarchy-walker.js - Loads the whole asset hierarchy (or one subtree) into flat records
+
+/**
+ * @typedef {Object} AssetRecord
+ * @property {number} id
+ * @property {string} name
+ * @property {number|null} parentId - null for root assets
+ * @property {number} depth - 1 for root assets
+ * @property {number[]} pathIds - Ancestor ids from the root down (excluding the asset itself)
+ * @property {string[]} pathNames - Ancestor names from the root down (excluding the asset itself)
+ * @property {number[]} childIds
+ * @property {Object} raw - The asset as returned by the API
+ */
+
+/**
+ * Reads id/name/parentId out of the differently-cased asset payloads the backend sends
+ * (REST responses, SignalR events, deleted-asset DTOs)
+ * @returns {{id:(number|null), name:(string|null), parentId:(number|null)}}
+ */
+function normalizeAsset(a) {
+    if (a === null || a === undefined) return { id: null, name: null, parentId: null };
+    if (typeof a === 'number' || typeof a === 'string') {
+        const n = Number(a);
+        return { id: Number.isFinite(n) ? n : null, name: null, parentId: null };
+    }
+    const src = a.asset && typeof a.asset === 'object' ? a.asset : a;
+    const id = src.id ?? src.Id ?? src.assetId ?? src.AssetId ?? null;
+    const parentId = src.parentId ?? src.ParentId ?? null;
+    return {
+        id: id === null ? null : Number(id),
+        name: src.name ?? src.Name ?? src.assetName ?? src.AssetName ?? null,
+        parentId: parentId === null ? null : Number(parentId)
+    };
+}
+
+/**
+ * Walks the hierarchy below rootId and returns every asset as an AssetRecord.
+ * Uses APP_CONFIG.hierarchyBulkPath in a single call when configured, otherwise
+ * calls GetByParentId level by level with at most `concurrency` requests in flight.
+ * @param {Object} [options]
+ * @param {number|null} [options.rootId] - Walk below this asset (null = whole hierarchy)
+ * @param {number} [options.concurrency]
+ * @param {number} [options.baseDepth] - Depth of rootId itself (0 when walking from the top)
+ * @param {number[]} [options.basePathIds] - Ancestor ids of the first level returned
+ * @param {string[]} [options.basePathNames] - Ancestor names of the first level returned
+ * @param {function(number):void} [options.onProgress] - Called with the number of assets found so far
+ * @returns {Promise<AssetRecord[]>} Records in breadth-first order
+ */
+async function walkAssetHierarchy(options = {}) {
+    const rootId = options.rootId ?? null;
+    const base = {
+        depth: options.baseDepth ?? 0,
+        pathIds: options.basePathIds || [],
+        pathNames: options.basePathNames || []
+    };
+
+    if (APP_CONFIG.hierarchyBulkPath && rootId === null) {
+        return flattenNestedAssets(await apiClient.get(APP_CONFIG.hierarchyBulkPath), null, base);
+    }
+
+    const concurrency = Math.max(1, options.concurrency ?? APP_CONFIG.hierarchyWalkConcurrency ?? 4);
+    const records = [];
+    const byId = new Map();
+    const queue = [{ parentId: rootId, ...base }];
+    let active = 0;
+
+    return new Promise((resolve, reject) => {
+        let failed = false;
+        const pump = () => {
+            if (failed) return;
+            if (!queue.length && active === 0) {
+                resolve(records);
+                return;
+            }
+            while (active < concurrency && queue.length) {
+                const task = queue.shift();
+                active++;
+                fetchAssetsByParentId(task.parentId).then(children => {
+                    active--;
+                    const list = Array.isArray(children) ? children : [];
+                    const parent = byId.get(task.parentId);
+                    for (const child of list) {
+                        const { id, name } = normalizeAsset(child);
+                        // Guard against cycles or duplicates in bad data
+                        if (id === null || byId.has(id)) continue;
+                        const record = {
+                            id,
+                            name: name ?? String(id),
+                            parentId: task.parentId,
+                            depth: task.depth + 1,
+                            pathIds: task.pathIds,
+                            pathNames: task.pathNames,
+                            childIds: [],
+                            raw: child
+                        };
+                        records.push(record);
+                        byId.set(id, record);
+                        if (parent) parent.childIds.push(id);
+                        queue.push({
+                            parentId: id,
+                            depth: record.depth,
+                            pathIds: [...task.pathIds, id],
+                            pathNames: [...task.pathNames, record.name]
+                        });
+                    }
+                    if (options.onProgress) options.onProgress(records.length);
+                    pump();
+                }, err => {
+                    failed = true;
+                    reject(err);
+                });
+            }
+        };
+        pump();
+    });
+}
+
+/**
+ * Flattens a nested asset tree (children/Childrens) into AssetRecords
+ */
+function flattenNestedAssets(nodes, parentId, base) {
+    const records = [];
+    const visit = (list, parentRecord, depth, pathIds, pathNames) => {
+        for (const node of (Array.isArray(list) ? list : [])) {
+            const { id, name } = normalizeAsset(node);
+            if (id === null) continue;
+            const record = {
+                id,
+                name: name ?? String(id),
+                parentId: parentRecord ? parentRecord.id : parentId,
+                depth: depth + 1,
+                pathIds,
+                pathNames,
+                childIds: [],
+                raw: node
+            };
+            records.push(record);
+            if (parentRecord) parentRecord.childIds.push(id);
+            const children = node.children ?? node.Children ?? node.Childrens ?? node.childrens;
+            visit(children, record, record.depth, [...pathIds, id], [...pathNames, record.name]);
+        }
+    };
+    visit(nodes, null, base.depth, base.pathIds, base.pathNames);
+    return records;
+}
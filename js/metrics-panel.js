@@ -0,0 +1,266 @@
+// metrics-panel.js - Metrics section: trigger CalculateAverage and chart ReceiveAverage results
+
+// Averages received this session, per column ({ [column]: [{ t, value }] })
+const METRICS_STORAGE_KEY = 'metricsHistory';
+// Oldest points per column are dropped beyond this
+const METRICS_MAX_POINTS = 500;
+
+// Chart geometry in SVG units; the SVG scales to the container width
+const METRICS_CHART = { width: 640, height: 220, padLeft: 56, padRight: 16, padTop: 12, padBottom: 28 };
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class MetricsPanel {
+    static init() {
+        const form = document.getElementById('metricsForm');
+        if (!form) return;
+        MetricsPanel._history = MetricsPanel.loadHistory();
+        MetricsPanel._selected = Object.keys(MetricsPanel._history)[0] || null;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            MetricsPanel.calculate(document.getElementById('metricsColumn').value);
+        });
+        document.getElementById('metricsExportBtn').addEventListener('click', () => MetricsPanel.exportCsv());
+        document.getElementById('metricsClearBtn').addEventListener('click', () => {
+            if (!confirm('Clear all averages recorded this session?')) return;
+            MetricsPanel._history = {};
+            MetricsPanel._selected = null;
+            MetricsPanel.saveHistory();
+            MetricsPanel.render();
+        });
+        document.addEventListener('hub:state', (e) => {
+            if (e.detail.name === 'Metrics') MetricsPanel.renderHubNotice();
+        });
+        MetricsPanel.render();
+    }
+
+    static loadHistory() {
+        try {
+            const data = JSON.parse(sessionStorage.getItem(METRICS_STORAGE_KEY) || '{}');
+            return data && typeof data === 'object' ? data : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    static saveHistory() {
+        try {
+            sessionStorage.setItem(METRICS_STORAGE_KEY, JSON.stringify(MetricsPanel._history));
+        } catch (err) {
+            console.warn('Could not store metrics history:', err);
+        }
+    }
+
+    /**
+     * Asks the backend to calculate a column's average; the result arrives via ReceiveAverage
+     */
+    static async calculate(rawColumn) {
+        const column = String(rawColumn || '').trim();
+        if (!column) return;
+        const btn = document.getElementById('metricsCalculateBtn');
+        btn.disabled = true;
+        try {
+            await calculateAverage(column);
+            MetricsPanel._pending.add(column.toLowerCase());
+            if (!MetricsPanel._history[column]) MetricsPanel._selected = column;
+            showNotification(`Average calculation started for "${column}"`, 'success');
+        } catch (err) {
+            const raw = err?.message || 'Failed to calculate average';
+            showNotification(raw.replace(/^"|"$/g, ''), 'error');
+        } finally {
+            btn.disabled = false;
+            MetricsPanel.render();
+        }
+    }
+
+    /**
+     * hub:ReceiveAverage handler; detail is [columnName, average]
+     */
+    static onAverage(e) {
+        const [columnName, average] = Array.isArray(e.detail) ? e.detail : [null, e.detail];
+        if (columnName === null || columnName === undefined) return;
+        const value = Number(average);
+        if (!Number.isFinite(value)) {
+            console.warn('Ignoring non-numeric average:', columnName, average);
+            return;
+        }
+        // Keep the column's first spelling so "count" and "Count" share a series
+        const column = Object.keys(MetricsPanel._history).find(c => c.toLowerCase() === String(columnName).toLowerCase())
+            || String(columnName);
+        const points = MetricsPanel._history[column] || (MetricsPanel._history[column] = []);
+        points.push({ t: Date.now(), value });
+        if (points.length > METRICS_MAX_POINTS) points.splice(0, points.length - METRICS_MAX_POINTS);
+        MetricsPanel._pending.delete(column.toLowerCase());
+        if (!MetricsPanel._selected) MetricsPanel._selected = column;
+        MetricsPanel.saveHistory();
+        MetricsPanel.render();
+    }
+
+    static summarize(points) {
+        const values = points.map(p => p.value);
+        return {
+            last: values[values.length - 1],
+            min: Math.min(...values),
+            max: Math.max(...values),
+            count: values.length,
+            updatedAt: points[points.length - 1].t
+        };
+    }
+
+    static formatValue(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    static render() {
+        if (!document.getElementById('metricsForm')) return;
+        MetricsPanel.renderColumnOptions();
+        MetricsPanel.renderCards();
+        MetricsPanel.renderChart();
+        MetricsPanel.renderHubNotice();
+        document.getElementById('metricsExportBtn').disabled = !Object.keys(MetricsPanel._history).length;
+    }
+
+    static renderColumnOptions() {
+        const list = document.getElementById('metricsColumnOptions');
+        const columns = new Set([...(APP_CONFIG.metricColumns || []), ...Object.keys(MetricsPanel._history)]);
+        list.innerHTML = '';
+        columns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            list.appendChild(option);
+        });
+    }
+
+    static renderCards() {
+        const container = document.getElementById('metricsCards');
+        container.innerHTML = '';
+        const columns = Object.keys(MetricsPanel._history);
+        const pendingOnly = [...MetricsPanel._pending].filter(p => !columns.some(c => c.toLowerCase() === p));
+        if (!columns.length && !pendingOnly.length) {
+            container.innerHTML = '<div class="muted">No averages yet. Pick a column and calculate its average.</div>';
+            return;
+        }
+        columns.forEach(column => {
+            const s = MetricsPanel.summarize(MetricsPanel._history[column]);
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'stat-card metrics-card';
+            if (column === MetricsPanel._selected) card.classList.add('selected');
+            card.setAttribute('aria-pressed', String(column === MetricsPanel._selected));
+            card.innerHTML = `
+                <div class="stat-label metrics-card-column"></div>
+                <div class="stat-value"></div>
+                <div class="metrics-card-range"></div>
+                <div class="stat-sub metrics-card-updated"></div>
+            `;
+            card.querySelector('.metrics-card-column').textContent = column;
+            card.querySelector('.stat-value').textContent = MetricsPanel.formatValue(s.last);
+            card.querySelector('.metrics-card-range').textContent =
+                `min ${MetricsPanel.formatValue(s.min)} · max ${MetricsPanel.formatValue(s.max)} · ${s.count} result${s.count === 1 ? '' : 's'}`;
+            card.querySelector('.metrics-card-updated').textContent = MetricsPanel._pending.has(column.toLowerCase())
+                ? 'Calculating…'
+                : `Updated ${new Date(s.updatedAt).toLocaleTimeString()}`;
+            card.addEventListener('click', () => {
+                MetricsPanel._selected = column;
+                MetricsPanel.render();
+            });
+            container.appendChild(card);
+        });
+        pendingOnly.forEach(column => {
+            const card = document.createElement('div');
+            card.className = 'stat-card metrics-card pending';
+            card.innerHTML = '<div class="stat-label metrics-card-column"></div><div class="stat-value">…</div><div class="stat-sub">Calculating…</div>';
+            card.querySelector('.metrics-card-column').textContent = column;
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Line chart of the selected column's averages over time, drawn as plain SVG
+     */
+    static renderChart() {
+        const container = document.getElementById('metricsChart');
+        const title = document.getElementById('metricsChartTitle');
+        container.innerHTML = '';
+        const column = MetricsPanel._selected;
+        const points = column ? MetricsPanel._history[column] : null;
+        if (!points || !points.length) {
+            title.textContent = '';
+            return;
+        }
+        title.textContent = `${column}: averages this session`;
+
+        const { width, height, padLeft, padRight, padTop, padBottom } = METRICS_CHART;
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `Averages of ${column} over time`);
+        const el = (name, attrs, text) => {
+            const node = document.createElementNS(SVG_NS, name);
+            Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+            if (text !== undefined) node.textContent = text;
+            svg.appendChild(node);
+            return node;
+        };
+
+        const s = MetricsPanel.summarize(points);
+        // Pad a flat series so it draws in the middle instead of on an edge
+        const lo = s.min === s.max ? s.min - 1 : s.min;
+        const hi = s.min === s.max ? s.max + 1 : s.max;
+        const t0 = points[0].t;
+        const t1 = points[points.length - 1].t;
+        const x = t => points.length === 1 ? (padLeft + width - padRight) / 2
+            : padLeft + ((t - t0) / (t1 - t0 || 1)) * (width - padLeft - padRight);
+        const y = v => padTop + (1 - (v - lo) / (hi - lo)) * (height - padTop - padBottom);
+
+        [hi, (hi + lo) / 2, lo].forEach(v => {
+            el('line', { x1: padLeft, x2: width - padRight, y1: y(v), y2: y(v), class: 'metrics-grid' });
+            el('text', { x: padLeft - 6, y: y(v) + 4, 'text-anchor': 'end', class: 'metrics-axis' }, MetricsPanel.formatValue(v));
+        });
+        el('text', { x: padLeft, y: height - 8, class: 'metrics-axis' }, new Date(t0).toLocaleTimeString());
+        if (points.length > 1) {
+            el('text', { x: width - padRight, y: height - 8, 'text-anchor': 'end', class: 'metrics-axis' }, new Date(t1).toLocaleTimeString());
+        }
+        el('polyline', { points: points.map(p => `${x(p.t)},${y(p.value)}`).join(' '), class: 'metrics-line' });
+        points.forEach(p => {
+            const dot = el('circle', { cx: x(p.t), cy: y(p.value), r: 3, class: 'metrics-point' });
+            const tip = document.createElementNS(SVG_NS, 'title');
+            tip.textContent = `${new Date(p.t).toLocaleString()}: ${MetricsPanel.formatValue(p.value)}`;
+            dot.appendChild(tip);
+        });
+        container.appendChild(svg);
+    }
+
+    static renderHubNotice() {
+        const notice = document.getElementById('metricsHubNotice');
+        if (!notice) return;
+        const state = HubConnectionManager.getState('Metrics');
+        notice.hidden = state === 'connected' || state === null;
+        notice.textContent = `Metrics hub is ${HUB_STATE_LABELS[state] || state}. New results will appear once it is connected.`;
+    }
+
+    /**
+     * Downloads every recorded average as timestamp,column,average rows
+     */
+    static exportCsv() {
+        const rows = [];
+        Object.entries(MetricsPanel._history).forEach(([column, points]) => {
+            points.forEach(p => rows.push({ t: p.t, column, value: p.value }));
+        });
+        if (!rows.length) return;
+        rows.sort((a, b) => a.t - b.t);
+        const lines = ['timestamp,column,average'];
+        rows.forEach(r => lines.push([new Date(r.t).toISOString(), r.column, r.value].map(csvCell).join(',')));
+        const stamp = new Date().toISOString().slice(0, 10);
+        downloadTextFile(`metrics-averages-${stamp}.csv`, lines.join('\r\n') + '\r\n', 'text/csv');
+    }
+}
+
+MetricsPanel._history = {};
+MetricsPanel._selected = null;
+// Lower-cased columns whose calculation was started and hasn't reported back yet
+MetricsPanel._pending = new Set();
+
+document.addEventListener('hub:ReceiveAverage', MetricsPanel.onAverage);
+document.addEventListener('DOMContentLoaded', () => MetricsPanel.init());
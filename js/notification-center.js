@@ -0,0 +1,337 @@
+// notification-center.js - The one place notifications go: stacked toasts, dedupe/throttle, actions and a session history
+
+// Session history, newest last ({ id, t, type, message, source, count, read })
+const NOTIFICATION_HISTORY_KEY = 'notificationHistory';
+const NOTIFICATION_HISTORY_LIMIT = 200;
+// Toasts beyond this push the oldest one out
+const NOTIFICATION_MAX_VISIBLE = 5;
+// How long a toast stays, by severity; toasts with actions stay at least NOTIFICATION_ACTION_MS
+const NOTIFICATION_DURATIONS_MS = { info: 5000, success: 4000, warning: 7000, error: 10000 };
+const NOTIFICATION_ACTION_MS = 8000;
+// Default quiet period for keyed notifications (e.g. repeated connection errors)
+const NOTIFICATION_THROTTLE_MS = 20000;
+
+/**
+ * @typedef {Object} NotificationAction
+ * @property {string} label - Button text, e.g. 'Undo'
+ * @property {function():*} run - Called on click; the toast closes afterwards
+ */
+
+class NotificationCenter {
+    /**
+     * Shows a toast and records it in the history.
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {'info'|'success'|'warning'|'error'} [options.type='info']
+     * @param {string} [options.key] - Notifications sharing a key are shown at most once per throttleMs
+     * @param {number} [options.throttleMs]
+     * @param {NotificationAction[]} [options.actions]
+     * @param {string} [options.source] - Where it came from ('hub' for SignalR events), shown in the history
+     * @param {number} [options.duration] - Overrides the severity's display time
+     * @returns {Object|null} The history entry, or null when throttled
+     */
+    static notify(message, options = {}) {
+        const type = NOTIFICATION_DURATIONS_MS[options.type] ? options.type : 'info';
+        const text = String(message ?? '');
+        if (options.key && !NotificationCenter.shouldShow(options.key, options.throttleMs)) {
+            console.debug('Suppressed repeated notification:', options.key);
+            return null;
+        }
+        const actions = options.actions || [];
+
+        // Same message still on screen: count it instead of stacking a copy
+        const visible = NotificationCenter._visible.find(v => v.entry.type === type && v.entry.message === text);
+        if (visible && !actions.length) {
+            visible.entry.count++;
+            visible.entry.t = Date.now();
+            visible.entry.read = false;
+            NotificationCenter.renderToastCount(visible);
+            NotificationCenter.announce(text, type === 'error');
+            NotificationCenter.armTimer(visible, options.duration);
+            NotificationCenter.saveHistory();
+            NotificationCenter.renderHistory();
+            return visible.entry;
+        }
+
+        const entry = {
+            id: NotificationCenter._nextId++,
+            t: Date.now(),
+            type,
+            message: text,
+            source: options.source || null,
+            count: 1,
+            read: false
+        };
+        NotificationCenter.announce(text, type === 'error');
+        NotificationCenter._history.push(entry);
+        if (NotificationCenter._history.length > NOTIFICATION_HISTORY_LIMIT) {
+            NotificationCenter._history.splice(0, NotificationCenter._history.length - NOTIFICATION_HISTORY_LIMIT);
+        }
+        // Actions are functions, so they only live for this page load
+        if (actions.length) NotificationCenter._actions.set(entry.id, actions);
+        NotificationCenter.saveHistory();
+        NotificationCenter.showToast(entry, options.duration);
+        NotificationCenter.renderHistory();
+        return entry;
+    }
+
+    /**
+     * Throttle check for keyed notifications; records the time when it says yes
+     */
+    static shouldShow(key, throttleMs = NOTIFICATION_THROTTLE_MS) {
+        const now = Date.now();
+        const last = NotificationCenter._lastShownAt.get(key) || 0;
+        if (now - last < throttleMs) return false;
+        NotificationCenter._lastShownAt.set(key, now);
+        return true;
+    }
+
+    /**
+     * Reads a message out to screen readers through a persistent live region. Every notification
+     * goes through here, so the results of API operations are heard as well as seen.
+     * @param {string} message
+     * @param {boolean} [assertive=false] - Interrupt (errors) instead of waiting for a pause
+     */
+    static announce(message, assertive = false) {
+        if (!document.body) return;
+        const id = assertive ? 'srAnnouncerAssertive' : 'srAnnouncer';
+        let region = document.getElementById(id);
+        if (!region) {
+            region = document.createElement('div');
+            region.id = id;
+            region.className = 'visually-hidden';
+            region.setAttribute('aria-live', assertive ? 'assertive' : 'polite');
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+        }
+        // Clear first so the same text twice in a row is announced again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    /**
+     * Lets the next notification with this key through right away
+     */
+    static resetThrottle(key) {
+        NotificationCenter._lastShownAt.delete(key);
+    }
+
+    static getStack() {
+        let stack = document.getElementById('toastStack');
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.id = 'toastStack';
+            stack.className = 'toast-stack';
+            document.body.appendChild(stack);
+        }
+        return stack;
+    }
+
+    static showToast(entry, duration) {
+        if (!document.body) return;
+        const el = document.createElement('div');
+        // Not a live region itself: notify() already announced the text (see announce())
+        el.className = `notification ${entry.type}`;
+        el.innerHTML = `
+            <div class="notification-body">
+                <span class="notification-message"></span>
+                <span class="notification-count" hidden></span>
+            </div>
+            <div class="notification-actions"></div>
+            <button type="button" class="notification-close" aria-label="Dismiss">×</button>
+        `;
+        el.querySelector('.notification-message').textContent = entry.message;
+        const toast = { entry, el, timer: null };
+        NotificationCenter.renderActions(el.querySelector('.notification-actions'), entry, () => NotificationCenter.dismiss(toast));
+        el.querySelector('.notification-close').addEventListener('click', () => NotificationCenter.dismiss(toast));
+        // Don't let a toast vanish while the pointer is on it
+        el.addEventListener('mouseenter', () => clearTimeout(toast.timer));
+        el.addEventListener('mouseleave', () => NotificationCenter.armTimer(toast, duration));
+
+        NotificationCenter.getStack().appendChild(el);
+        NotificationCenter._visible.push(toast);
+        while (NotificationCenter._visible.length > NOTIFICATION_MAX_VISIBLE) {
+            NotificationCenter.dismiss(NotificationCenter._visible[0]);
+        }
+        setTimeout(() => el.classList.add('show'), 10);
+        NotificationCenter.armTimer(toast, duration);
+    }
+
+    static armTimer(toast, duration) {
+        clearTimeout(toast.timer);
+        let ms = duration ?? NOTIFICATION_DURATIONS_MS[toast.entry.type];
+        if (NotificationCenter._actions.has(toast.entry.id)) ms = Math.max(ms, NOTIFICATION_ACTION_MS);
+        toast.timer = setTimeout(() => NotificationCenter.dismiss(toast), ms);
+    }
+
+    static dismiss(toast) {
+        const index = NotificationCenter._visible.indexOf(toast);
+        if (index === -1) return;
+        NotificationCenter._visible.splice(index, 1);
+        clearTimeout(toast.timer);
+        toast.el.classList.remove('show');
+        setTimeout(() => toast.el.remove(), 300);
+    }
+
+    static renderToastCount(toast) {
+        const badge = toast.el.querySelector('.notification-count');
+        badge.hidden = toast.entry.count < 2;
+        badge.textContent = `×${toast.entry.count}`;
+    }
+
+    /**
+     * Action buttons for a toast or history item; each action runs once
+     */
+    static renderActions(container, entry, onDone) {
+        const actions = NotificationCenter._actions.get(entry.id) || [];
+        container.hidden = !actions.length;
+        actions.forEach(action => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'notification-action';
+            btn.textContent = action.label;
+            btn.addEventListener('click', () => {
+                NotificationCenter._actions.delete(entry.id);
+                if (onDone) onDone();
+                NotificationCenter.renderHistory();
+                try {
+                    const result = action.run();
+                    if (result && typeof result.catch === 'function') {
+                        result.catch(err => console.error(`Notification action "${action.label}" failed:`, err));
+                    }
+                } catch (err) {
+                    console.error(`Notification action "${action.label}" failed:`, err);
+                }
+            });
+            container.appendChild(btn);
+        });
+    }
+
+    static loadHistory() {
+        try {
+            const data = JSON.parse(sessionStorage.getItem(NOTIFICATION_HISTORY_KEY) || '[]');
+            return Array.isArray(data) ? data : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    static saveHistory() {
+        try {
+            sessionStorage.setItem(NOTIFICATION_HISTORY_KEY, JSON.stringify(NotificationCenter._history));
+        } catch (err) {
+            console.warn('Could not store notification history:', err);
+        }
+    }
+
+    static unreadCount() {
+        return NotificationCenter._history.filter(e => !e.read).length;
+    }
+
+    /**
+     * Wires the header bell (#notificationBell) and its history panel (#notificationPanel)
+     */
+    static init() {
+        const bell = document.getElementById('notificationBell');
+        const panel = document.getElementById('notificationPanel');
+        if (!bell || !panel) return;
+        bell.addEventListener('click', (e) => {
+            e.stopPropagation();
+            NotificationCenter.togglePanel(panel.hidden);
+        });
+        document.getElementById('notificationMarkReadBtn').addEventListener('click', () => NotificationCenter.markAllRead());
+        document.getElementById('notificationClearBtn').addEventListener('click', () => {
+            NotificationCenter._history = [];
+            NotificationCenter._actions.clear();
+            NotificationCenter.saveHistory();
+            NotificationCenter.renderHistory();
+        });
+        // composedPath() is fixed at dispatch, so a button that re-rendering the history has already
+        // detached (history actions) still counts as inside the panel
+        document.addEventListener('click', (e) => {
+            if (!panel.hidden && !e.composedPath().includes(panel)) NotificationCenter.togglePanel(false);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !panel.hidden) {
+                NotificationCenter.togglePanel(false);
+                bell.focus();
+            }
+        });
+        NotificationCenter.renderHistory();
+    }
+
+    static togglePanel(open) {
+        const bell = document.getElementById('notificationBell');
+        const panel = document.getElementById('notificationPanel');
+        panel.hidden = !open;
+        bell.setAttribute('aria-expanded', String(open));
+        if (open) NotificationCenter.renderHistory();
+        // Seen once the panel has been opened
+        else NotificationCenter.markAllRead();
+    }
+
+    static markAllRead() {
+        NotificationCenter._history.forEach(e => { e.read = true; });
+        NotificationCenter.saveHistory();
+        NotificationCenter.renderHistory();
+    }
+
+    static renderHistory() {
+        const bell = document.getElementById('notificationBell');
+        const list = document.getElementById('notificationList');
+        if (!bell || !list) return;
+        const unread = NotificationCenter.unreadCount();
+        const badge = bell.querySelector('.notification-badge');
+        badge.hidden = !unread;
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        bell.setAttribute('aria-label', unread ? `Notifications (${unread} unread)` : 'Notifications');
+
+        const panel = document.getElementById('notificationPanel');
+        if (panel.hidden) return;
+        list.innerHTML = '';
+        if (!NotificationCenter._history.length) {
+            list.innerHTML = '<li class="muted notification-empty">No notifications yet this session.</li>';
+            return;
+        }
+        [...NotificationCenter._history].reverse().forEach(entry => {
+            const li = document.createElement('li');
+            li.className = `notification-item ${entry.type}${entry.read ? '' : ' unread'}`;
+            li.innerHTML = `
+                <span class="notification-dot" aria-hidden="true"></span>
+                <div class="notification-item-body">
+                    <div class="notification-message"></div>
+                    <div class="notification-meta"></div>
+                    <div class="notification-actions"></div>
+                </div>
+            `;
+            li.querySelector('.notification-message').textContent = entry.count > 1 ? `${entry.message} (×${entry.count})` : entry.message;
+            const meta = [new Date(entry.t).toLocaleTimeString(), entry.type];
+            if (entry.source) meta.push(entry.source === 'hub' ? 'live update' : entry.source);
+            li.querySelector('.notification-meta').textContent = meta.join(' · ');
+            NotificationCenter.renderActions(li.querySelector('.notification-actions'), entry, () => {
+                const toast = NotificationCenter._visible.find(v => v.entry.id === entry.id);
+                if (toast) NotificationCenter.dismiss(toast);
+            });
+            list.appendChild(li);
+        });
+    }
+}
+
+NotificationCenter._history = NotificationCenter.loadHistory();
+NotificationCenter._nextId = NotificationCenter._history.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+/** @type {Map<number, NotificationAction[]>} */
+NotificationCenter._actions = new Map();
+NotificationCenter._visible = [];
+NotificationCenter._lastShownAt = new Map();
+
+/**
+ * Shorthand used across the app
+ * @param {string} message
+ * @param {'info'|'success'|'warning'|'error'} [type='info']
+ * @param {Object} [options] - See NotificationCenter.notify
+ */
+function showNotification(message, type = 'info', options = {}) {
+    return NotificationCenter.notify(message, { ...options, type });
+}
+
+document.addEventListener('DOMContentLoaded', () => NotificationCenter.init());
@@ -1,8 +1,6 @@
-// API Base URL
-const API_BASE_URL = 'https://localhost:7186'; // Update this to match your backend URL
+// API Base URL (configured in js/config.js)
+const API_BASE_URL = APP_CONFIG.apiOrigin;
 
-// Hub endpoints (adjust to your backend routes)
-const NOTIFICATIONS_HUB_PATH = '/hubs/notifications';
 // Build a SignalR connection helper
 function buildConnection(hubPath) {
     return new signalR.HubConnectionBuilder()
@@ -16,176 +14,237 @@ function buildConnection(hubPath) {
         .build();
 }
 
-// Create SignalR connections
-const notificationConnection = buildConnection(NOTIFICATIONS_HUB_PATH);
-
-// Notification manager
-class NotificationManager {
-    static show(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.textContent = message;
-        // Ensure text is visible regardless of global CSS
-        notification.style.color = '#fff';
-        
-        // Add to document
-        document.body.appendChild(notification);
-        
-        // Trigger animation
-        setTimeout(() => notification.classList.add('show'), 10);
-        
-        // Remove after 5 seconds
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => notification.remove(), 300);
-        }, 5000);
-    }
-}
+// Wait between attempts to start a hub connection that failed
+const HUB_RETRY_DELAY_MS = 20000; // 20 seconds
 
-// Throttle map to avoid spamming the user with the same connection error repeatedly
-const _lastNotificationAt = {};
-const _notificationThrottleMs = 20000; // 20 seconds
+// Re-broadcast hub events as DOM events (e.g. 'hub:DeviceAdded') so dashboard
+// features can react to them without touching this file. A listener calls preventDefault()
+// when the event only echoes this page's own edit; returns false in that case.
+// `detail` is the event's argument, or an array of them when the hub sends several.
+function emitHubEvent(eventName, payload) {
+    return document.dispatchEvent(new CustomEvent(`hub:${eventName}`, { detail: payload, cancelable: true }));
+}
 
-function _shouldShowNotification(key) {
-    try {
-        const now = Date.now();
-        const last = _lastNotificationAt[key] || 0;
-        if (now - last >= _notificationThrottleMs) {
-            _lastNotificationAt[key] = now;
-            return true;
-        }
-        return false;
-    } catch (e) {
-        return true;
-    }
+// Accept multiple payload shapes from the server. If name is missing, fall back to the id.
+function extractAssetName(a) {
+    if (!a) return null;
+    if (typeof a === 'string' || typeof a === 'number') return String(a);
+    if (a.name) return a.name;
+    if (a.Name) return a.Name;
+    if (a.assetName) return a.assetName;
+    if (a.AssetName) return a.AssetName;
+    if (a.Id) return String(a.Id);
+    if (a.AssetId) return String(a.AssetId);
+    if (a.asset && (a.asset.name || a.asset.Name)) return a.asset.name || a.asset.Name;
+    return null;
 }
 
-// SignalR event handlers - Notifications hub
-notificationConnection.on("DeviceAdded", (asset) => {
-    console.log("DeviceAdded event received:", asset);
-    const extractName = (a) => {
-        if (!a) return null;
-        if (typeof a === 'string' || typeof a === 'number') return String(a);
-        if (a.name) return a.name;
-        if (a.Name) return a.Name;
-        if (a.assetName) return a.assetName;
-        if (a.AssetName) return a.AssetName;
-        if (a.Id) return String(a.Id);
-        if (a.AssetId) return String(a.AssetId);
-        if (a.asset && (a.asset.name || a.asset.Name)) return a.asset.name || a.asset.Name;
-        return null;
-    };
-    const n = extractName(asset);
-    NotificationManager.show(n ? `New asset "${n}" has been added` : 'A new asset has been added', 'success');
-});
+// "View asset" toast action for events that carry an id (the tree lives on the dashboard only)
+function viewAssetActions(asset) {
+    if (typeof AssetSearch === 'undefined' || typeof normalizeAsset !== 'function') return [];
+    const { id } = normalizeAsset(asset);
+    return id === null ? [] : [{ label: 'View asset', run: () => AssetSearch.showById(id) }];
+}
 
-notificationConnection.on("DeviceUpdated", (asset) => {
-    console.log("DeviceUpdated event received:", asset);
-    // Accept multiple payload shapes from the server. If name is missing, fall back to a generic message.
-    const extractName = (a) => {
-        if (!a) return null;
-        if (typeof a === 'string' || typeof a === 'number') return String(a);
-        if (a.name) return a.name;
-        if (a.Name) return a.Name;
-        if (a.assetName) return a.assetName;
-        if (a.AssetName) return a.AssetName;
-        if (a.Id) return String(a.Id);
-        if (a.AssetId) return String(a.AssetId);
-        if (a.asset && (a.asset.name || a.asset.Name)) return a.asset.name || a.asset.Name;
-        return null;
-    };
-    const name = extractName(asset);
-    NotificationManager.show(name ? `Asset "${name}" has been updated` : 'An asset has been updated', 'info');
-});
+// Toasts for hub events, shown unless a listener marked the event as an echo of our own edit
+const HUB_EVENT_TOASTS = {
+    DeviceAdded: (asset) => {
+        const n = extractAssetName(asset);
+        showNotification(n ? `New asset "${n}" has been added` : 'A new asset has been added', 'success', { source: 'hub', actions: viewAssetActions(asset) });
+    },
+    DeviceUpdated: (asset) => {
+        const name = extractAssetName(asset);
+        showNotification(name ? `Asset "${name}" has been updated` : 'An asset has been updated', 'info', { source: 'hub', actions: viewAssetActions(asset) });
+    },
+    DeviceRemoved: (id) => {
+        showNotification(`Asset with ID ${id} has been removed`, 'warning', { source: 'hub' });
+    },
+    ReceiveAverage: (columnName, average) => {
+        // Show a concise toast; customize as needed
+        showNotification(`Average ${columnName}: ${average}`, 'info', { source: 'hub' });
+        // Optionally: update specific UI elements if they exist
+        const el = document.getElementById(`avg-${String(columnName).toLowerCase()}`);
+        if (el) el.textContent = average;
+    }
+};
+
+// Connection states shown in the header indicator
+const HUB_STATE_LABELS = {
+    connecting: 'Connecting…',
+    connected: 'Connected',
+    reconnecting: 'Reconnecting…',
+    disconnected: 'Disconnected'
+};
+
+/**
+ * Owns one SignalR connection per hub in APP_CONFIG.hubs. Every event listed for a hub is
+ * re-broadcast as a 'hub:<EventName>' DOM event; features can also subscribe with on().
+ */
+class HubConnectionManager {
+    static init() {
+        (APP_CONFIG.hubs || []).forEach(hub => {
+            const connection = buildConnection(hub.path);
+            const entry = { name: hub.name, path: hub.path, connection, state: 'disconnected', error: null, retryTimer: null };
+            HubConnectionManager._hubs.set(hub.name, entry);
+
+            (hub.events || []).forEach(eventName => {
+                connection.on(eventName, (...args) => {
+                    console.log(`${eventName} event received:`, ...args);
+                    const fresh = emitHubEvent(eventName, args.length > 1 ? args : args[0]);
+                    if (fresh && HUB_EVENT_TOASTS[eventName]) HUB_EVENT_TOASTS[eventName](...args);
+                });
+            });
+
+            connection.onreconnecting(error => {
+                console.log(`${hub.name} SignalR Reconnecting:`, error);
+                HubConnectionManager.setState(entry, 'reconnecting', error);
+                showNotification(`Reconnecting to ${hub.name.toLowerCase()} hub...`, 'warning', { key: `conn:${hub.name}:reconnecting` });
+            });
+
+            connection.onreconnected(connectionId => {
+                console.log(`${hub.name} SignalR Reconnected:`, connectionId);
+                HubConnectionManager.setState(entry, 'connected');
+                // Clear any throttles for this connection so future errors will surface immediately
+                NotificationCenter.resetThrottle(`conn:${hub.name}:error`);
+                showNotification("Reconnected successfully!", 'success');
+            });
+
+            // Automatic reconnect gave up: start over (keyed notifications keep repeated toasts quiet)
+            connection.onclose(async (error) => {
+                console.log(`${hub.name} SignalR Connection closed:`, error);
+                HubConnectionManager.setState(entry, 'disconnected', error);
+                if (HubConnectionManager._stopped) return;
+                showNotification("Connection lost. Reconnecting...", 'warning', { key: `conn:${hub.name}:closed` });
+                try { await startConnection(entry); } catch(_) {}
+            });
+        });
+        HubConnectionManager.renderStatus();
+    }
 
-notificationConnection.on("DeviceRemoved", (id) => {
-    console.log("DeviceRemoved event received:", id);
-    NotificationManager.show(`Asset with ID ${id} has been removed`, 'warning');
-});
+    /**
+     * @param {string} name - Hub name from APP_CONFIG.hubs
+     * @returns {signalR.HubConnection|null}
+     */
+    static get(name) {
+        return HubConnectionManager._hubs.get(name)?.connection || null;
+    }
 
-// Add connection state change logging
-notificationConnection.onreconnecting(error => {
-    console.log("SignalR Reconnecting:", error);
-    const key = `conn:Notifications:reconnecting`;
-    if (_shouldShowNotification(key)) {
-        NotificationManager.show("Reconnecting to server...", 'warning');
+    /**
+     * Subscribes to a hub method directly (also works for events not listed in the config)
+     * @param {string} hubName
+     * @param {string} eventName
+     * @param {function(...*):void} handler - Called with the hub method's arguments
+     */
+    static on(hubName, eventName, handler) {
+        const connection = HubConnectionManager.get(hubName);
+        if (!connection) {
+            console.warn(`No hub named "${hubName}" is configured`);
+            return;
+        }
+        connection.on(eventName, handler);
     }
-});
 
-notificationConnection.onreconnected(connectionId => {
-    console.log("SignalR Reconnected:", connectionId);
-    // Clear any throttles for this connection so future errors will surface immediately
-    _lastNotificationAt[`conn:Notifications:error`] = 0;
-    NotificationManager.show("Reconnected successfully!", 'success');
-});
+    /**
+     * @returns {'connecting'|'connected'|'reconnecting'|'disconnected'|null}
+     */
+    static getState(name) {
+        return HubConnectionManager._hubs.get(name)?.state ?? null;
+    }
 
-// Consolidated onclose handler: throttle notification and attempt reconnects for Notifications and Metrics
-notificationConnection.onclose(async (error) => {
-    console.log("SignalR Connection closed:", error);
-    const key = `conn:Notifications:closed`;
-    if (_shouldShowNotification(key)) {
-        NotificationManager.show("Connection lost. Reconnecting...", 'warning');
+    static setState(entry, state, error = null) {
+        entry.state = state;
+        entry.error = error ? (error.message || String(error)) : null;
+        document.dispatchEvent(new CustomEvent('hub:state', { detail: { name: entry.name, state, error: entry.error } }));
+        HubConnectionManager.renderStatus();
     }
-    // Try to restart notifications connection (throttling inside startConnection will suppress repeated error toasts)
-    try { await startConnection(notificationConnection, 'Notifications'); } catch(_) {}
-    // If a metrics connection exists, attempt to restart it as well
-    if (typeof metricsConnection !== 'undefined' && metricsConnection) {
-        try { await startConnection(metricsConnection, 'Metrics'); } catch(_) {}
+
+    static startAll() {
+        return Promise.all([...HubConnectionManager._hubs.values()].map(entry => startConnection(entry)));
     }
-});
 
-// Metrics/averages hub handlers
-notificationConnection.on("ReceiveAverage", (columnName, average) => {
-    console.log("ReceiveAverage:", { columnName, average });
-    // Show a concise toast; customize as needed
-    NotificationManager.show(`Average ${columnName}: ${average}`, 'info');
-    // Optionally: update specific UI elements if they exist
-    // Example: if columnName maps to an element id
-    const el = document.getElementById(`avg-${String(columnName).toLowerCase()}`);
-    if (el) el.textContent = average;
-});
+    /**
+     * Closes every connection for good (logout): no reconnects, no retries, no toasts
+     */
+    static stopAll() {
+        HubConnectionManager._stopped = true;
+        return Promise.all([...HubConnectionManager._hubs.values()].map(async entry => {
+            clearTimeout(entry.retryTimer);
+            entry.retryTimer = null;
+            try {
+                await entry.connection.stop();
+            } catch (err) {
+                console.warn(`Could not stop the ${entry.name} hub connection:`, err);
+            }
+        }));
+    }
 
+    /**
+     * One dot per hub in #hubStatus; the tooltip carries the state and last error
+     */
+    static renderStatus() {
+        const container = document.getElementById('hubStatus');
+        if (!container) return;
+        container.innerHTML = '';
+        HubConnectionManager._hubs.forEach(entry => {
+            const item = document.createElement('span');
+            item.className = `hub-status-item ${entry.state}`;
+            item.title = `${entry.name} hub (${entry.path}): ${HUB_STATE_LABELS[entry.state]}${entry.error ? ` - ${entry.error}` : ''}`;
+            const dot = document.createElement('span');
+            dot.className = 'hub-status-dot';
+            dot.setAttribute('aria-hidden', 'true');
+            const label = document.createElement('span');
+            label.className = 'hub-status-label';
+            label.textContent = entry.name;
+            item.appendChild(dot);
+            item.appendChild(label);
+            item.setAttribute('aria-label', item.title);
+            container.appendChild(item);
+        });
+    }
+}
 
+/** @type {Map<string, {name:string, path:string, connection:signalR.HubConnection, state:string, error:(string|null), retryTimer:(number|null)}>} */
+HubConnectionManager._hubs = new Map();
+// Set by stopAll(); nothing reconnects afterwards
+HubConnectionManager._stopped = false;
 
 // Start a specific connection with retries
-async function startConnection(conn, label) {
+async function startConnection(entry) {
+    const { connection: conn, name: label } = entry;
+    entry.retryTimer = null;
+    if (HubConnectionManager._stopped || conn.state !== signalR.HubConnectionState.Disconnected) return;
+    HubConnectionManager.setState(entry, 'connecting');
     try {
         await conn.start();
         console.log(`${label} SignalR connected successfully`);
+        HubConnectionManager.setState(entry, 'connected');
         // Only show a toast for the notifications hub to reduce noise
         if (label === 'Notifications') {
-            NotificationManager.show("Connected to real-time notifications", 'success');
+            showNotification("Connected to real-time notifications", 'success');
         }
     } catch (err) {
         console.error(`${label} SignalR Connection Error:`, err);
+        HubConnectionManager.setState(entry, 'disconnected', err);
         if (label === 'Notifications') {
-            const key = `conn:${label}:error`;
-            if (_shouldShowNotification(key)) {
-                NotificationManager.show(`Connection Error (${label}): ${err.message}`, 'error');
-            } else {
-                console.debug('Suppressed repeated connection error notification for', label);
-            }
+            showNotification(`Connection Error (${label}): ${err.message}`, 'error', { key: `conn:${label}:error` });
         }
-        
+
         // Log detailed error information
         if (err.innerError) {
             console.error("Inner Error:", err.innerError);
         }
-        
+
         // Retry connection after configured throttle interval (20s)
-        console.log(`Retrying connection in ${_notificationThrottleMs / 1000} seconds...`);
-        setTimeout(() => startConnection(conn, label), _notificationThrottleMs);
+        console.log(`Retrying connection in ${HUB_RETRY_DELAY_MS / 1000} seconds...`);
+        entry.retryTimer = setTimeout(() => startConnection(entry), HUB_RETRY_DELAY_MS);
     }
 }
 
-// (onclose consolidated above)
+// Build the connections right away so features can subscribe while the page loads
+HubConnectionManager.init();
 
-// Start the connection when the document is ready
+// Start the connections when the document is ready
 document.addEventListener('DOMContentLoaded', async () => {
-    // Start both hubs in parallel
-    await Promise.all([
-        startConnection(notificationConnection, 'Notifications'),
-        startConnection(metricsConnection, 'Metrics')
-    ]);
-});
\ No newline at end of file
+    HubConnectionManager.renderStatus();
+    await HubConnectionManager.startAll();
+});
@@ -0,0 +1,77 @@
+// permissions.js - Maps the roles in the access token to UI capabilities
+
+// Claim names ASP.NET Core and other issuers use for roles (also read from login and /Auth/me responses)
+const ROLE_CLAIM_KEYS = ['role', 'roles', 'Role', 'Roles', 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role'];
+
+// Role used when neither the token nor the login or /Auth/me response names one
+const DEFAULT_ROLE = 'User';
+
+class Permissions {
+    /**
+     * Roles from the current access token. A token without a role claim falls back to the role the
+     * login or /Auth/me response reported (AuthSession.storeRoles), then to DEFAULT_ROLE.
+     * @returns {string[]}
+     */
+    static getRoles() {
+        const fromToken = Permissions.rolesFrom(AuthSession.decodeToken(AuthSession.getAccessToken()));
+        if (fromToken.length) return fromToken;
+        const stored = AuthSession.getStoredRoles();
+        return stored.length ? stored : [DEFAULT_ROLE];
+    }
+
+    /**
+     * Role names found under any of ROLE_CLAIM_KEYS
+     * @param {Object|null} source - Token claims or a user object from the API
+     * @returns {string[]}
+     */
+    static rolesFrom(source) {
+        const roles = [];
+        ROLE_CLAIM_KEYS.forEach(key => {
+            const value = source?.[key];
+            if (Array.isArray(value)) roles.push(...value);
+            else if (value) roles.push(value);
+        });
+        return [...new Set(roles.map(String))];
+    }
+
+    /**
+     * @param {string} capability - e.g. 'assets.delete' (see APP_CONFIG.roleCapabilities)
+     * @returns {boolean}
+     */
+    static can(capability) {
+        const map = APP_CONFIG.roleCapabilities || {};
+        return Permissions.getRoles().some(role => {
+            const key = Object.keys(map).find(k => k.toLowerCase() === role.toLowerCase());
+            return key ? map[key].includes(capability) || map[key].includes('*') : false;
+        });
+    }
+
+    /**
+     * Drops jsTree context menu entries the current roles don't allow
+     * @param {Object} items - contextmenu.items result
+     * @param {Object<string, string>} capabilities - Item key -> required capability
+     */
+    static filterMenu(items, capabilities) {
+        Object.entries(capabilities).forEach(([key, capability]) => {
+            if (!Permissions.can(capability)) delete items[key];
+        });
+        return items;
+    }
+
+    /**
+     * Hides every element marked data-requires="<capability>" that the current roles don't allow,
+     * or whose optional endpoint (data-requires-path="<APP_CONFIG key>") isn't configured
+     */
+    static apply(root = document) {
+        root.querySelectorAll('[data-requires]').forEach(el => {
+            const path = el.dataset.requiresPath;
+            el.hidden = !Permissions.can(el.dataset.requires) || (!!path && !APP_CONFIG[path]);
+        });
+        const roleEl = document.getElementById('userRole');
+        if (roleEl) roleEl.textContent = Permissions.getRoles().join(', ');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => Permissions.apply());
+// Refreshed tokens may carry different roles
+document.addEventListener('auth:tokens', () => Permissions.apply());
@@ -0,0 +1,109 @@
+// session-guard.js - Keeps signed-out users off the dashboard and shows who is signed in
+
+// Claim names used for the user's display name and email, most specific first
+const NAME_CLAIM_KEYS = ['name', 'unique_name', 'given_name', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name'];
+const EMAIL_CLAIM_KEYS = ['email', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'];
+
+class SessionGuard {
+    /**
+     * Runs as soon as the script loads: leaves for the login page unless the stored token could be a live session
+     * @returns {boolean} false when the page is being redirected
+     */
+    static enforce() {
+        if (AuthSession.hasUsableSession()) return true;
+        // No token at all is a plain sign-in; a malformed or dead one means the session ended
+        SessionGuard.redirect(AuthSession.getAccessToken() ? 'session-expired' : null);
+        return false;
+    }
+
+    static redirect(reason) {
+        SessionGuard._redirecting = true;
+        // Not loaded yet when enforce() redirects at script load
+        if (typeof HubConnectionManager !== 'undefined') HubConnectionManager.stopAll();
+        const url = AuthSession.loginUrl(reason);
+        AuthSession.clear();
+        window.location.replace(url);
+    }
+
+    /**
+     * Confirms the session with the backend (APP_CONFIG.sessionCheckPath) and renders the verified user.
+     * A 401 ends the session through apiClient/AuthSession; an unreachable endpoint keeps the token's claims.
+     */
+    static async verify() {
+        if (SessionGuard._redirecting) return;
+        SessionGuard.renderUser(SessionGuard.userFromClaims(AuthSession.decodeToken(AuthSession.getAccessToken())));
+        try {
+            const me = await apiClient.get(APP_CONFIG.sessionCheckPath || '/Auth/me');
+            // Roles for tokens without a role claim (see Permissions.getRoles)
+            if (typeof Permissions !== 'undefined') AuthSession.storeRoles(Permissions.rolesFrom(me?.user || me));
+            SessionGuard.renderUser(SessionGuard.userFromResponse(me));
+            SessionGuard.verified = true;
+            document.dispatchEvent(new CustomEvent('auth:verified'));
+        } catch (err) {
+            if (err?.status === 401) return;
+            console.warn('Could not confirm the session with the server; showing token claims:', err);
+        }
+    }
+
+    static pickClaim(claims, keys) {
+        for (const key of keys) {
+            const value = claims?.[key];
+            if (value) return String(Array.isArray(value) ? value[0] : value);
+        }
+        return null;
+    }
+
+    static userFromClaims(claims) {
+        return {
+            name: SessionGuard.pickClaim(claims, NAME_CLAIM_KEYS),
+            email: SessionGuard.pickClaim(claims, EMAIL_CLAIM_KEYS)
+        };
+    }
+
+    /**
+     * Accepts { name|userName, email } profiles as well as a raw claims object
+     */
+    static userFromResponse(me) {
+        const fromClaims = SessionGuard.userFromClaims(me);
+        return {
+            name: me?.name || me?.Name || me?.userName || me?.UserName || fromClaims.name,
+            email: me?.email || me?.Email || fromClaims.email
+        };
+    }
+
+    static renderUser(user) {
+        const name = user.name || user.email?.split('@')[0] || 'User';
+        const set = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        set('userDisplayName', name);
+        set('welcomeUserName', name);
+        set('userEmail', user.email || '');
+        set('userInitials', name.split(/\s+/).map(n => n[0]).join('').toUpperCase().substring(0, 2));
+        // Role text comes from the same token claims Permissions uses
+        if (typeof Permissions !== 'undefined') Permissions.apply();
+    }
+
+    /**
+     * Other tabs share localStorage: follow their sign-out and pick up their refreshed tokens.
+     * A session kept in sessionStorage ("Remember me" off) belongs to this tab alone.
+     */
+    static onStorage(e) {
+        if (e.storageArea !== localStorage || AuthSession.getStore() !== localStorage) return;
+        if (e.key === null || (e.key === 'accessToken' && !e.newValue)) {
+            SessionGuard.redirect('signed-out');
+        } else if (e.key === 'accessToken') {
+            if (AuthSession._timer) AuthSession.startAutoRefresh();
+            document.dispatchEvent(new CustomEvent('auth:tokens'));
+        }
+    }
+}
+
+SessionGuard._redirecting = false;
+SessionGuard.verified = false;
+
+if (SessionGuard.enforce()) {
+    window.addEventListener('storage', SessionGuard.onStorage);
+    document.addEventListener('DOMContentLoaded', () => SessionGuard.verify());
+}
@@ -0,0 +1,390 @@
+// tree-bulk-ops.js - Bulk delete / move / rename for multi-selected #assetTree nodes
+
+// Pattern tokens for bulk rename
+const BULK_RENAME_HELP = '{name} = current name, {n} = 1, 2, 3…, {id} = asset ID';
+
+class TreeBulkOps {
+    static init() {
+        const toolbar = document.getElementById('bulkToolbar');
+        if (!toolbar) return;
+        TreeBulkOps._toolbar = toolbar;
+        document.getElementById('bulkDeleteBtn').addEventListener('click', () => TreeBulkOps.deleteSelected());
+        document.getElementById('bulkMoveBtn').addEventListener('click', () => TreeBulkOps.moveSelected());
+        document.getElementById('bulkRenameBtn').addEventListener('click', () => TreeBulkOps.renameSelected());
+        document.getElementById('bulkClearBtn').addEventListener('click', () => {
+            const tree = $('#assetTree').jstree(true);
+            if (tree) tree.deselect_all();
+        });
+        document.getElementById('bulkCancelBtn').addEventListener('click', () => {
+            TreeBulkOps._cancelled = true;
+        });
+    }
+
+    static updateToolbar() {
+        const toolbar = TreeBulkOps._toolbar;
+        if (!toolbar) return;
+        const tree = $('#assetTree').jstree(true);
+        const count = tree ? tree.get_selected().length : 0;
+        toolbar.hidden = count < 2 && !TreeBulkOps._running;
+        document.getElementById('bulkCount').textContent = `${count} selected`;
+        toolbar.querySelectorAll('.bulk-action').forEach(btn => btn.disabled = TreeBulkOps._running);
+    }
+
+    /**
+     * Context menu shown when right-clicking inside a multi-selection
+     */
+    static contextMenuItems() {
+        const count = $('#assetTree').jstree(true).get_selected().length;
+        return Permissions.filterMenu({
+            BulkMove: { label: `Move ${count} selected…`, action: () => TreeBulkOps.moveSelected() },
+            BulkRename: { label: `Rename ${count} selected…`, action: () => TreeBulkOps.renameSelected() },
+            BulkDelete: { label: `Delete ${count} selected`, separator_before: true, action: () => TreeBulkOps.deleteSelected() }
+        }, { BulkMove: 'assets.move', BulkRename: 'assets.rename', BulkDelete: 'assets.delete' });
+    }
+
+    /**
+     * Selected non-root nodes, in tree order. With `topLevelOnly`, nodes whose ancestor is also
+     * selected are dropped, since deleting or moving the ancestor already covers them.
+     */
+    static getSelection(topLevelOnly) {
+        const tree = $('#assetTree').jstree(true);
+        if (!tree) return [];
+        const selected = tree.get_selected(true);
+        const ids = new Set(selected.map(n => n.id));
+        const order = new Map(tree.get_json('#', { flat: true }).map((n, i) => [n.id, i]));
+        return selected
+            .filter(n => n.parent !== '#')
+            .filter(n => !topLevelOnly || !n.parents.some(p => ids.has(p)))
+            .sort((a, b) => (order.get(a.id) ?? 0) - (order.get(b.id) ?? 0));
+    }
+
+    /**
+     * Captures what is needed to put a removed node back where it was
+     */
+    static snapshot(tree, node) {
+        const parent = tree.get_node(node.parent);
+        return {
+            json: tree.get_json(node),
+            parent: node.parent,
+            position: parent ? parent.children.indexOf(node.id) : 'last'
+        };
+    }
+
+    static async deleteSelected() {
+        const tree = $('#assetTree').jstree(true);
+        const nodes = TreeBulkOps.getSelection(true);
+        if (!nodes.length) {
+            showNotification('Root assets cannot be deleted', 'warning');
+            return;
+        }
+        if (!confirm(`Delete ${nodes.length} asset${nodes.length === 1 ? '' : 's'} and everything below them?`)) return;
+
+        const items = nodes.map(node => {
+            const snap = TreeBulkOps.snapshot(tree, node);
+            const assetId = getNodeAssetId(node);
+            return {
+                label: node.text,
+                apply: () => tree.delete_node(node.id),
+                run: () => deleteAssetNode(assetId),
+                rollback: () => tree.create_node(snap.parent, snap.json, snap.position),
+                command: TreeHistory.remove({ assetId, name: node.text, parentId: getNodeParentAssetId(tree, node) })
+            };
+        });
+        await TreeBulkOps.runBatch('Delete', items);
+    }
+
+    /**
+     * Moves the selection under a parent chosen in the parent picker
+     */
+    static async moveSelected() {
+        const tree = $('#assetTree').jstree(true);
+        const nodes = TreeBulkOps.getSelection(true);
+        if (!nodes.length) {
+            showNotification('Root assets cannot be moved', 'warning');
+            return;
+        }
+        const target = await AssetParentPicker.pick({
+            title: `Move ${nodes.length} asset${nodes.length === 1 ? '' : 's'}`,
+            confirmLabel: 'Move here',
+            excludeAssetIds: nodes.map(getNodeAssetId)
+        });
+        if (!target) return;
+
+        const targetNode = tree.get_node(`node_${target.assetId}`);
+        const targetLoaded = targetNode && tree.is_loaded(targetNode);
+        const items = nodes.map(node => {
+            const snap = TreeBulkOps.snapshot(tree, node);
+            const assetId = getNodeAssetId(node);
+            const oldParentId = getNodeParentAssetId(tree, node);
+            const name = node.text;
+            return {
+                label: name,
+                // Move into the target when it is loaded; otherwise just take the node out of view
+                apply: () => {
+                    if (targetLoaded) moveNodeWithoutSaving(tree, node.id, targetNode, 'last');
+                    else tree.delete_node(node.id);
+                },
+                run: () => {
+                    if (oldParentId === target.assetId) return Promise.resolve();
+                    return updateAssetNode({ Id: assetId, OldParentId: oldParentId, NewParentId: target.assetId, OldName: name, NewName: name });
+                },
+                rollback: () => {
+                    if (targetLoaded) moveNodeWithoutSaving(tree, node.id, snap.parent, snap.position);
+                    else tree.create_node(snap.parent, snap.json, snap.position);
+                },
+                command: oldParentId === target.assetId ? null
+                    : TreeHistory.update({ assetId, oldParentId, newParentId: target.assetId, oldName: name, newName: name })
+            };
+        });
+        await TreeBulkOps.runBatch(`Move to "${target.name}"`, items);
+    }
+
+    /**
+     * Persists a multi-node drag & drop; the nodes have already been moved in the UI
+     * @param {Object[]} moves - move_node.jstree event data, one per dragged node
+     */
+    static async persistMoves(moves) {
+        const tree = $('#assetTree').jstree(true);
+        const items = moves.map(data => {
+            const node = tree.get_node(data.node);
+            const assetId = getNodeAssetId(node);
+            const oldParentId = data.old_parent === '#' ? 0 : (getNodeAssetId(tree.get_node(data.old_parent)) ?? 0);
+            const newParentId = data.parent === '#' ? 0 : (getNodeAssetId(tree.get_node(data.parent)) ?? 0);
+            return {
+                label: node.text,
+                run: () => {
+                    if (data.old_parent === '#') return Promise.reject(new Error('Root node cannot be moved'));
+                    return updateAssetNode({ Id: assetId, OldParentId: oldParentId, NewParentId: newParentId, OldName: node.text, NewName: node.text });
+                },
+                rollback: () => moveNodeWithoutSaving(tree, data.node, data.old_parent, data.old_position),
+                command: oldParentId === newParentId ? null
+                    : TreeHistory.update({ assetId, oldParentId, newParentId, oldName: node.text, newName: node.text })
+            };
+        });
+        await TreeBulkOps.runBatch('Move', items);
+    }
+
+    /**
+     * Renames every selected asset from a pattern such as "Pump {n}" or "{name} (old)"
+     */
+    static async renameSelected() {
+        const tree = $('#assetTree').jstree(true);
+        const nodes = TreeBulkOps.getSelection(false);
+        if (!nodes.length) {
+            showNotification('Root assets cannot be renamed', 'warning');
+            return;
+        }
+        const pattern = await TreeBulkOps.promptRenamePattern(nodes);
+        if (!pattern) return;
+
+        const items = nodes
+            .map((node, i) => ({ node, oldName: node.text, newName: TreeBulkOps.applyPattern(pattern, node, i) }))
+            .filter(({ oldName, newName }) => newName && newName !== oldName)
+            .map(({ node, oldName, newName }) => {
+                const assetId = getNodeAssetId(node);
+                const parentId = getNodeParentAssetId(tree, node);
+                return {
+                    label: `${oldName} → ${newName}`,
+                    apply: () => tree.rename_node(node.id, newName),
+                    run: () => updateAssetNode({ Id: assetId, OldParentId: parentId, NewParentId: parentId, OldName: oldName, NewName: newName }),
+                    rollback: () => tree.rename_node(node.id, oldName),
+                    command: TreeHistory.update({ assetId, oldParentId: parentId, newParentId: parentId, oldName, newName })
+                };
+            });
+        if (!items.length) {
+            showNotification('The pattern does not change any names', 'info');
+            return;
+        }
+        await TreeBulkOps.runBatch('Rename', items);
+    }
+
+    static applyPattern(pattern, node, index) {
+        return pattern
+            .replace(/\{name\}/g, node.text)
+            .replace(/\{n\}/g, String(index + 1))
+            .replace(/\{id\}/g, String(getNodeAssetId(node)))
+            .trim();
+    }
+
+    /**
+     * Asks for a rename pattern with a live preview of the first few results
+     * @returns {Promise<string|null>}
+     */
+    static promptRenamePattern(nodes) {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="app-dialog-body">
+                <h3 class="app-dialog-title"></h3>
+                <div class="form-group">
+                    <label for="bulkRenamePattern">Name pattern</label>
+                    <input id="bulkRenamePattern" class="form-control" type="text" value="{name}" autocomplete="off">
+                    <div class="field-info"></div>
+                </div>
+                <ul class="bulk-rename-preview"></ul>
+                <div class="form-buttons">
+                    <button type="button" class="btn btn-sm btn-secondary" value="cancel">Cancel</button>
+                    <button type="submit" class="btn btn-sm" value="ok">Rename</button>
+                </div>
+            </form>
+        `;
+        dialog.querySelector('.app-dialog-title').textContent = `Rename ${nodes.length} asset${nodes.length === 1 ? '' : 's'}`;
+        dialog.querySelector('.field-info').textContent = BULK_RENAME_HELP;
+        const input = dialog.querySelector('#bulkRenamePattern');
+        const preview = dialog.querySelector('.bulk-rename-preview');
+        const renderPreview = () => {
+            preview.innerHTML = '';
+            nodes.slice(0, 8).forEach((node, i) => {
+                const li = document.createElement('li');
+                li.textContent = `${node.text} → ${TreeBulkOps.applyPattern(input.value, node, i) || '(empty)'}`;
+                preview.appendChild(li);
+            });
+            if (nodes.length > 8) {
+                const li = document.createElement('li');
+                li.textContent = `…and ${nodes.length - 8} more`;
+                preview.appendChild(li);
+            }
+        };
+        input.addEventListener('input', renderPreview);
+        renderPreview();
+        document.body.appendChild(dialog);
+
+        return new Promise(resolve => {
+            dialog.querySelector('button[value="cancel"]').addEventListener('click', () => dialog.close('cancel'));
+            dialog.addEventListener('close', () => {
+                const value = input.value.trim();
+                dialog.remove();
+                resolve(dialog.returnValue === 'ok' && value ? value : null);
+            });
+            dialog.showModal();
+            input.select();
+        });
+    }
+
+    /**
+     * Runs bulk items as a queue: each item's UI change is applied up front, then the API
+     * calls go out one at a time; items that fail (or are stopped) get their UI change rolled back.
+     * Items that succeed and carry a history `command` are recorded as one undo step.
+     * @param {string} title
+     * @param {{label:string, apply?:function(), run:function():Promise, rollback?:function(), command?:TreeCommand}[]} items
+     * @returns {Promise<{label:string, ok:boolean, error?:string}[]|null>} Per-item results, or null if another batch is running
+     */
+    static async runBatch(title, items) {
+        if (TreeBulkOps._running) {
+            showNotification('Another bulk operation is still running', 'warning');
+            return null;
+        }
+        if (EditOutbox.blocksDirectEdits(title)) {
+            // Drag and drop has already moved its nodes (no apply step); put them back
+            for (let i = items.length - 1; i >= 0; i--) {
+                if (items[i].apply || !items[i].rollback) continue;
+                try { items[i].rollback(); } catch (err) { console.error('Bulk rollback failed:', err); }
+            }
+            return null;
+        }
+        TreeBulkOps._running = true;
+        TreeBulkOps._cancelled = false;
+        TreeBulkOps.updateToolbar();
+        TreeBulkOps.renderProgress(title, 0, items.length);
+
+        const applied = items.map(item => {
+            try {
+                if (item.apply) item.apply();
+                return true;
+            } catch (err) {
+                console.error('Bulk UI update failed:', err);
+                return false;
+            }
+        });
+
+        const results = [];
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (TreeBulkOps._cancelled) {
+                results.push({ label: item.label, ok: false, error: 'Stopped before it ran' });
+                continue;
+            }
+            try {
+                await item.run();
+                results.push({ label: item.label, ok: true });
+            } catch (err) {
+                results.push({ label: item.label, ok: false, error: err?.message || String(err) });
+            }
+            TreeBulkOps.renderProgress(title, i + 1, items.length);
+        }
+
+        // Undo the optimistic UI change of every failed item, last first so positions line up
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (results[i].ok || !applied[i] || !items[i].rollback) continue;
+            try { items[i].rollback(); } catch (err) { console.error('Bulk rollback failed:', err); }
+        }
+
+        const done = items.filter((item, i) => results[i].ok && item.command).map(item => item.command);
+        const command = done.length ? TreeHistory.batch(title, done) : null;
+        if (command) TreeHistory.record(command);
+
+        TreeBulkOps._running = false;
+        TreeBulkOps.renderProgress(title, null);
+        TreeBulkOps.updateToolbar();
+        TreeBulkOps.showReport(title, results, command);
+        return results;
+    }
+
+    /**
+     * @param {number|null} done - null hides the progress bar
+     */
+    static renderProgress(title, done, total) {
+        const wrap = document.getElementById('bulkProgress');
+        if (!wrap) return;
+        wrap.hidden = done === null;
+        if (done === null) return;
+        const pct = total ? Math.round((done / total) * 100) : 100;
+        const track = wrap.querySelector('.bulk-progress-track');
+        track.setAttribute('aria-valuenow', String(pct));
+        wrap.querySelector('.bulk-progress-bar').style.width = `${pct}%`;
+        wrap.querySelector('.bulk-progress-label').textContent = `${title}: ${done} / ${total}`;
+    }
+
+    /**
+     * @param {TreeCommand|null} [command] - History entry for the items that succeeded; offered as "Undo"
+     */
+    static showReport(title, results, command = null) {
+        const failed = results.filter(r => !r.ok);
+        const okCount = results.length - failed.length;
+        showNotification(
+            `${title}: ${okCount} succeeded${failed.length ? `, ${failed.length} failed` : ''}`,
+            failed.length ? (okCount ? 'warning' : 'error') : 'success',
+            { actions: command ? TreeHistory.undoActions(command) : [] }
+        );
+        if (!failed.length) return;
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="app-dialog-body">
+                <h3 class="app-dialog-title"></h3>
+                <ul class="bulk-report"></ul>
+                <div class="form-buttons">
+                    <button type="submit" class="btn btn-sm" value="ok">Close</button>
+                </div>
+            </form>
+        `;
+        dialog.querySelector('.app-dialog-title').textContent = `${title}: ${okCount} of ${results.length} succeeded`;
+        const list = dialog.querySelector('.bulk-report');
+        results.forEach(r => {
+            const li = document.createElement('li');
+            li.className = r.ok ? 'ok' : 'failed';
+            li.textContent = r.ok ? `✓ ${r.label}` : `✗ ${r.label} — ${r.error}`;
+            list.appendChild(li);
+        });
+        dialog.addEventListener('close', () => dialog.remove());
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    }
+}
+
+TreeBulkOps._toolbar = null;
+TreeBulkOps._running = false;
+TreeBulkOps._cancelled = false;
+
+document.addEventListener('DOMContentLoaded', () => TreeBulkOps.init());
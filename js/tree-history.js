@@ -0,0 +1,286 @@
+// tree-history.js - Undo/redo for rename, move, create and delete in #assetTree
+
+// Oldest entries are dropped beyond this
+const TREE_HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {Object} TreeCommand
+ * @property {string} label - Shown in the history panel
+ * @property {function():Promise} undo - Reverts the change on the server
+ * @property {function():Promise} redo - Applies it again
+ * @property {number[]} parentIds - Assets whose children change (0 = root level); reloaded in the tree afterwards
+ * @property {number[]} assetIds - Assets the command touches
+ */
+
+class TreeHistory {
+    static init() {
+        TreeHistory._undoBtn = document.getElementById('undoBtn');
+        TreeHistory._redoBtn = document.getElementById('redoBtn');
+        TreeHistory._panel = document.getElementById('treeHistoryPanel');
+        TreeHistory._list = document.getElementById('treeHistoryList');
+        if (TreeHistory._undoBtn) TreeHistory._undoBtn.addEventListener('click', () => TreeHistory.undo());
+        if (TreeHistory._redoBtn) TreeHistory._redoBtn.addEventListener('click', () => TreeHistory.redo());
+        const toggle = document.getElementById('historyToggleBtn');
+        if (toggle && TreeHistory._panel) {
+            toggle.addEventListener('click', () => {
+                TreeHistory._panel.hidden = !TreeHistory._panel.hidden;
+                toggle.setAttribute('aria-expanded', String(!TreeHistory._panel.hidden));
+            });
+        }
+        document.addEventListener('keydown', TreeHistory.onKeyDown);
+        TreeHistory.render();
+    }
+
+    /**
+     * Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; typing in a field or an open dialog keeps the browser's own undo
+     */
+    static onKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        const el = document.activeElement;
+        if (el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+        if (document.querySelector('dialog[open]') || !document.getElementById('assetTree')) return;
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) TreeHistory.redo();
+        else TreeHistory.undo();
+    }
+
+    /**
+     * Adds a command that has just been carried out; clears anything that was undone
+     * @param {TreeCommand} command
+     */
+    static record(command) {
+        TreeHistory._undoStack.push(command);
+        if (TreeHistory._undoStack.length > TREE_HISTORY_LIMIT) TreeHistory._undoStack.shift();
+        TreeHistory._redoStack = [];
+        TreeHistory.render();
+    }
+
+    /**
+     * "Undo" toast action for a command just recorded; it only applies while that command is still the latest
+     * @param {TreeCommand} command
+     * @returns {NotificationAction[]}
+     */
+    static undoActions(command) {
+        return [{
+            label: 'Undo',
+            run: () => {
+                if (TreeHistory._undoStack[TreeHistory._undoStack.length - 1] !== command) {
+                    showNotification(`"${command.label}" is no longer the latest change; use the history panel to go back further`, 'info');
+                    return;
+                }
+                return TreeHistory.undo();
+            }
+        }];
+    }
+
+    static undo() {
+        return TreeHistory.step(TreeHistory._undoStack, TreeHistory._redoStack, 'undo', 'Undid');
+    }
+
+    static redo() {
+        return TreeHistory.step(TreeHistory._redoStack, TreeHistory._undoStack, 'redo', 'Redid');
+    }
+
+    /**
+     * Runs the top command of `from` and moves it to `to`; on failure it stays where it was
+     * @returns {Promise<boolean>} Whether the step succeeded
+     */
+    static async step(from, to, method, verb) {
+        if (TreeHistory._busy || !from.length) return false;
+        if (EditOutbox.blocksDirectEdits(method === 'undo' ? 'Undo' : 'Redo')) return false;
+        const command = from[from.length - 1];
+        TreeHistory._busy = true;
+        TreeHistory.render();
+        try {
+            await command[method]();
+            from.pop();
+            to.push(command);
+            showNotification(`${verb}: ${command.label}`, 'success');
+            return true;
+        } catch (err) {
+            showNotification(`Could not ${method} "${command.label}": ${err?.message || err}`, 'error');
+            return false;
+        } finally {
+            TreeHistory._busy = false;
+            TreeHistory.refreshTree(command);
+            TreeHistory.render();
+        }
+    }
+
+    /**
+     * Undoes or redoes until the given entry is the latest applied one
+     * @param {number} index - Position in the combined list (applied entries first, then undone ones)
+     */
+    static async goTo(index) {
+        while (TreeHistory._undoStack.length - 1 > index) {
+            if (!await TreeHistory.undo()) return;
+        }
+        while (TreeHistory._undoStack.length - 1 < index) {
+            if (!await TreeHistory.redo()) return;
+        }
+    }
+
+    /**
+     * Reloads the parents whose children changed; the details panel is closed if it shows a touched asset
+     */
+    static refreshTree(command) {
+        const tree = $('#assetTree').jstree(true);
+        if (!tree) return;
+        if (AssetDetailsPanel._current && command.assetIds.includes(AssetDetailsPanel._current.assetId)) {
+            AssetDetailsPanel.close(true);
+        }
+        const parentIds = [...new Set(command.parentIds)];
+        if (parentIds.some(id => !id)) {
+            tree.refresh();
+            return;
+        }
+        parentIds.forEach(id => {
+            const node = tree.get_node(`node_${id}`);
+            if (node && tree.is_loaded(node)) tree.refresh_node(node);
+        });
+    }
+
+    static render() {
+        const canUndo = TreeHistory._undoStack.length > 0 && !TreeHistory._busy;
+        const canRedo = TreeHistory._redoStack.length > 0 && !TreeHistory._busy;
+        if (TreeHistory._undoBtn) {
+            TreeHistory._undoBtn.disabled = !canUndo;
+            TreeHistory._undoBtn.title = canUndo ? `Undo ${TreeHistory._undoStack[TreeHistory._undoStack.length - 1].label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (TreeHistory._redoBtn) {
+            TreeHistory._redoBtn.disabled = !canRedo;
+            TreeHistory._redoBtn.title = canRedo ? `Redo ${TreeHistory._redoStack[TreeHistory._redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+        const list = TreeHistory._list;
+        if (!list) return;
+        list.innerHTML = '';
+        // Oldest first; undone entries follow greyed out, next-to-redo first
+        const entries = [
+            ...TreeHistory._undoStack.map(c => ({ command: c, undone: false })),
+            ...[...TreeHistory._redoStack].reverse().map(c => ({ command: c, undone: true }))
+        ];
+        if (!entries.length) {
+            const li = document.createElement('li');
+            li.className = 'muted';
+            li.textContent = 'No changes yet';
+            list.appendChild(li);
+            return;
+        }
+        entries.forEach((entry, i) => {
+            const li = document.createElement('li');
+            li.className = entry.undone ? 'undone' : '';
+            if (i === TreeHistory._undoStack.length - 1) li.classList.add('current');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'tree-history-entry';
+            btn.textContent = entry.command.label;
+            btn.disabled = TreeHistory._busy;
+            btn.title = entry.undone ? 'Redo up to here' : 'Undo back to here';
+            btn.addEventListener('click', () => TreeHistory.goTo(i));
+            li.appendChild(btn);
+            list.appendChild(li);
+        });
+    }
+
+    /**
+     * Rename and/or move through UpdateAsset; undo sends the same DTO with old and new swapped
+     * @returns {TreeCommand}
+     */
+    static update({ assetId, oldParentId, newParentId, oldName, newName }) {
+        const moved = oldParentId !== newParentId;
+        const renamed = oldName !== newName;
+        const label = moved && renamed ? `Edit "${oldName}"`
+            : moved ? `Move "${newName}"`
+            : `Rename "${oldName}" → "${newName}"`;
+        return {
+            label,
+            undo: () => updateAssetNode({ Id: assetId, OldParentId: newParentId, NewParentId: oldParentId, OldName: newName, NewName: oldName }),
+            redo: () => updateAssetNode({ Id: assetId, OldParentId: oldParentId, NewParentId: newParentId, OldName: oldName, NewName: newName }),
+            parentIds: [oldParentId, newParentId],
+            assetIds: [assetId]
+        };
+    }
+
+    /**
+     * Delete; undo brings the asset back from the deleted assets
+     * @returns {TreeCommand}
+     */
+    static remove({ assetId, name, parentId }) {
+        return {
+            label: `Delete "${name}"`,
+            undo: () => TreeHistory.retrieve(assetId),
+            redo: () => deleteAssetNode(assetId),
+            parentIds: [parentId],
+            assetIds: [assetId]
+        };
+    }
+
+    /**
+     * Create; undo deletes the new asset and redo retrieves it again, so its id stays the same
+     * @returns {TreeCommand}
+     */
+    static create({ assetId, name, parentId }) {
+        return {
+            label: `Create "${name}"`,
+            undo: () => deleteAssetNode(assetId),
+            redo: () => TreeHistory.retrieve(assetId),
+            parentIds: [parentId],
+            assetIds: [assetId]
+        };
+    }
+
+    /**
+     * Several commands undone as one step (bulk operations); undo runs them last to first.
+     * When one fails the batch stays where it was (see step) and running it again resumes at that
+     * command, so the ones already carried out aren't sent twice.
+     * @param {string} label
+     * @param {TreeCommand[]} commands
+     * @returns {TreeCommand}
+     */
+    static batch(label, commands) {
+        if (commands.length === 1) return commands[0];
+        // Sub-commands already carried out by an undo or redo that failed partway
+        const progress = { undo: 0, redo: 0 };
+        const runAll = async (list, method) => {
+            for (let i = progress[method]; i < list.length; i++) {
+                try {
+                    await list[i][method]();
+                } catch (err) {
+                    throw new Error(`${err?.message || err} (${i} of ${list.length} done; trying again continues from there)`);
+                }
+                progress[method] = i + 1;
+            }
+            progress[method] = 0;
+        };
+        return {
+            label: `${label} (${commands.length} assets)`,
+            undo: () => runAll([...commands].reverse(), 'undo'),
+            redo: () => runAll(commands, 'redo'),
+            parentIds: commands.flatMap(c => c.parentIds),
+            assetIds: commands.flatMap(c => c.assetIds)
+        };
+    }
+
+    /**
+     * RetrieveDeletedAsset answers with a message (and ParentIds) instead of the asset when
+     * it can't restore it, e.g. because a parent is deleted too
+     */
+    static async retrieve(assetId) {
+        const result = await retrieveDeletedAssetById(assetId);
+        const message = result?.Message || result?.message;
+        if (message && (result.ParentIds || result.parentIds)) throw new Error(message);
+        return result;
+    }
+}
+
+TreeHistory._undoStack = [];
+TreeHistory._redoStack = [];
+TreeHistory._busy = false;
+TreeHistory._undoBtn = null;
+TreeHistory._redoBtn = null;
+TreeHistory._panel = null;
+TreeHistory._list = null;
+
+document.addEventListener('DOMContentLoaded', () => TreeHistory.init());
@@ -0,0 +1,145 @@
+// tree-keyboard.js - Keyboard commands for #assetTree (jsTree handles arrows, Home/End and Enter itself)
+//   F2 rename · Insert add child · Delete delete · Ctrl+X / Ctrl+V move under another node · R reload · Esc cancel cut
+
+class TreeKeyboard {
+    static init() {
+        const el = document.getElementById('assetTree');
+        if (!el) return;
+        // Capture phase so these run before jsTree's own handlers (its F2 renames without saving)
+        el.addEventListener('keydown', TreeKeyboard.onKeyDown, true);
+    }
+
+    static onKeyDown(e) {
+        // Typing in jsTree's inline rename box
+        if (/^(INPUT|TEXTAREA)$/.test(e.target.tagName)) return;
+        const anchor = e.target.closest('.jstree-anchor');
+        const tree = $('#assetTree').jstree(true);
+        if (!anchor || !tree) return;
+        const node = tree.get_node(anchor.closest('li'));
+        // "Load more…" only answers to Enter and clicks (TreePaging)
+        if (!node || TreePaging.isMoreNode(node)) return;
+
+        const ctrl = e.ctrlKey || e.metaKey;
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        let handled = true;
+        if (key === 'F2' && !ctrl) TreeKeyboard.rename(tree, node);
+        else if (key === 'Insert' && !ctrl) TreeKeyboard.addChild(tree, node);
+        else if (key === 'Delete' && !ctrl) TreeKeyboard.remove(tree, node);
+        else if (key === 'x' && ctrl && !e.shiftKey && !e.altKey) TreeKeyboard.cut(tree, node);
+        else if (key === 'v' && ctrl && !e.shiftKey && !e.altKey) TreeKeyboard.paste(tree, node);
+        else if (key === 'r' && !ctrl && !e.altKey) TreeKeyboard.reload(tree, node);
+        else if (key === 'Escape' && TreeKeyboard._cut.length) TreeKeyboard.clearCut(true);
+        else handled = false;
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    /**
+     * @returns {boolean} false (after telling the user why) when the role lacks the capability
+     */
+    static allowed(capability, what) {
+        if (Permissions.can(capability)) return true;
+        NotificationCenter.announce(`You don't have permission to ${what}.`);
+        return false;
+    }
+
+    static rename(tree, node) {
+        if (!TreeKeyboard.allowed('assets.rename', 'rename assets')) return;
+        if (node.parent === '#') {
+            NotificationCenter.announce('Root assets cannot be renamed.');
+            return;
+        }
+        renameAsset(tree, node);
+    }
+
+    static addChild(tree, node) {
+        if (!TreeKeyboard.allowed('assets.create', 'add assets')) return;
+        addChildAsset(tree, node);
+    }
+
+    static remove(tree, node) {
+        if (!TreeKeyboard.allowed('assets.delete', 'delete assets')) return;
+        const selected = tree.get_selected();
+        // Same rule as the context menu: inside a multi-selection the key acts on all of it
+        if (selected.length > 1 && selected.includes(node.id)) {
+            TreeBulkOps.deleteSelected();
+            return;
+        }
+        if (node.parent === '#') {
+            NotificationCenter.announce('Root assets cannot be deleted.');
+            return;
+        }
+        deleteAssetWithConfirm(tree, node);
+    }
+
+    /**
+     * Marks the node (or the selection it belongs to) to be moved by the next Ctrl+V
+     */
+    static cut(tree, node) {
+        if (!TreeKeyboard.allowed('assets.move', 'move assets')) return;
+        const selected = tree.get_selected();
+        const ids = selected.length > 1 && selected.includes(node.id) ? selected : [node.id];
+        const movable = ids.filter(id => tree.get_node(id)?.parent !== '#');
+        if (!movable.length) {
+            NotificationCenter.announce('Root assets cannot be moved.');
+            return;
+        }
+        TreeKeyboard.clearCut(false);
+        TreeKeyboard._cut = movable;
+        TreeKeyboard.renderCut();
+        const label = movable.length === 1 ? `"${tree.get_node(movable[0]).text}"` : `${movable.length} assets`;
+        NotificationCenter.announce(`Cut ${label}. Go to the new parent and press Ctrl+V, or Escape to cancel.`);
+    }
+
+    /**
+     * Moves the cut nodes under `target`; the usual move handler saves them (one bulk batch for several)
+     */
+    static paste(tree, target) {
+        if (!TreeKeyboard._cut.length) return;
+        const nodes = TreeKeyboard._cut.map(id => tree.get_node(id)).filter(Boolean);
+        const invalid = nodes.filter(n => n.id === target.id || target.parents.includes(n.id));
+        if (invalid.length) {
+            NotificationCenter.announce(`Can't move "${invalid[0].text}" into itself or one of its descendants.`);
+            return;
+        }
+        const toMove = nodes.filter(n => n.parent !== target.id);
+        TreeKeyboard.clearCut(false);
+        if (!toMove.length) {
+            NotificationCenter.announce(`Already under "${target.text}".`);
+            return;
+        }
+        toMove.forEach(n => tree.move_node(n, target, 'last'));
+        tree.open_node(target);
+    }
+
+    static reload(tree, node) {
+        NotificationCenter.announce(`Reloading "${node.text}".`);
+        if (tree.is_open(node)) {
+            ChildrenCache.invalidate(getNodeAssetId(node));
+            tree.refresh_node(node);
+        } else {
+            tree.open_node(node);
+        }
+    }
+
+    static clearCut(announce) {
+        const had = TreeKeyboard._cut.length;
+        TreeKeyboard._cut = [];
+        TreeKeyboard.renderCut();
+        if (announce && had) NotificationCenter.announce('Move cancelled.');
+    }
+
+    static renderCut() {
+        document.querySelectorAll('#assetTree .jstree-anchor.asset-cut').forEach(a => a.classList.remove('asset-cut'));
+        TreeKeyboard._cut.forEach(id => {
+            document.getElementById(`${id}_anchor`)?.classList.add('asset-cut');
+        });
+    }
+}
+
+/** jsTree node ids waiting for Ctrl+V */
+TreeKeyboard._cut = [];
+
+document.addEventListener('DOMContentLoaded', () => TreeKeyboard.init());
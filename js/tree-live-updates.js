@@ -0,0 +1,141 @@
+// tree-live-updates.js - Applies DeviceAdded/DeviceUpdated/DeviceRemoved hub events to the open #assetTree
+
+// Several deletes usually arrive together; reload the Recently Deleted cards once they settle
+const DELETED_CARDS_REFRESH_DELAY_MS = 500;
+
+class TreeLiveUpdates {
+    static getTree() {
+        return $('#assetTree').jstree(true) || null;
+    }
+
+    /**
+     * jsTree node of an asset's parent, '#' for root level; null when the parent isn't in the tree
+     */
+    static getParentNode(tree, parentId) {
+        if (!parentId) return tree.get_node('#');
+        return tree.get_node(`node_${parentId}`) || null;
+    }
+
+    static onAdded(e) {
+        const { id, name, parentId } = normalizeAsset(e.detail);
+        const ownKeys = [`added-id:${id}`];
+        if (name !== null) ownKeys.push(`added:${parentId ?? 0}:${name.toLowerCase()}`);
+        if (consumeOwnEditEcho(ownKeys, e.detail)) {
+            e.preventDefault();
+            return;
+        }
+        // A retrieve by someone else takes a card out of Recently Deleted
+        TreeLiveUpdates.scheduleDeletedCardsRefresh();
+        const tree = TreeLiveUpdates.getTree();
+        if (!tree || id === null || tree.get_node(`node_${id}`)) return;
+        // Unloaded parents pick the asset up when they are opened
+        const parent = TreeLiveUpdates.getParentNode(tree, parentId);
+        if (!parent || !tree.is_loaded(parent)) return;
+        const nodeId = tree.create_node(parent, TreeLiveUpdates.toNode(id, name, e.detail), 'last');
+        if (nodeId) flashAssetNode(nodeId);
+    }
+
+    static onUpdated(e) {
+        const { id, name, parentId } = normalizeAsset(e.detail);
+        if (consumeOwnEditEcho([`updated:${id}`], e.detail)) {
+            e.preventDefault();
+            return;
+        }
+        const tree = TreeLiveUpdates.getTree();
+        if (!tree || id === null) return;
+        const nodeId = `node_${id}`;
+        const node = tree.get_node(nodeId);
+
+        if (!node) {
+            // Moved in from a part of the tree that isn't loaded
+            const parent = parentId === null ? null : TreeLiveUpdates.getParentNode(tree, parentId);
+            if (parent && tree.is_loaded(parent)) {
+                tree.create_node(parent, TreeLiveUpdates.toNode(id, name, e.detail), 'last');
+                flashAssetNode(nodeId);
+            }
+            return;
+        }
+
+        if (name !== null && name !== node.text) tree.rename_node(node, name);
+        if (node.data) node.data.asset = e.detail;
+
+        const showsAsset = AssetDetailsPanel._current?.assetId === id;
+        if (parentId !== null && parentId !== getNodeParentAssetId(tree, node)) {
+            const parent = TreeLiveUpdates.getParentNode(tree, parentId);
+            if (parent && tree.is_loaded(parent)) {
+                moveNodeWithoutSaving(tree, node, parent, 'last');
+            } else {
+                if (showsAsset) AssetDetailsPanel.close(true);
+                tree.delete_node(node);
+                return;
+            }
+        }
+        // Reload the details panel unless the user is in the middle of editing it
+        if (showsAsset && !AssetDetailsPanel.isDirty()) AssetDetailsPanel.show(tree.get_node(nodeId));
+        flashAssetNode(nodeId);
+    }
+
+    static onRemoved(e) {
+        const { id } = normalizeAsset(e.detail);
+        if (consumeOwnEditEcho([`removed:${id}`])) {
+            e.preventDefault();
+            return;
+        }
+        TreeLiveUpdates.scheduleDeletedCardsRefresh();
+        const tree = TreeLiveUpdates.getTree();
+        if (!tree || id === null) return;
+        const node = tree.get_node(`node_${id}`);
+        if (!node) return;
+        const current = AssetDetailsPanel._current;
+        if (current && (current.nodeId === node.id || tree.get_node(current.nodeId)?.parents.includes(node.id))) {
+            AssetDetailsPanel.close(true);
+            showNotification(`"${current.name}" was deleted by someone else`, 'warning');
+        }
+        tree.delete_node(node);
+    }
+
+    /**
+     * A level drawn from an old ChildrenCache entry turned out to differ from the server: reload it
+     */
+    static onChildrenRefreshed(e) {
+        const tree = TreeLiveUpdates.getTree();
+        // Reloading would throw away a name being typed; the next open picks the change up
+        if (!tree || document.querySelector('#assetTree .jstree-rename-input')) return;
+        const { parentId } = e.detail;
+        if (parentId === null || parentId === 0) {
+            tree.refresh();
+            return;
+        }
+        const node = tree.get_node(`node_${parentId}`);
+        if (node && tree.is_loaded(node)) tree.refresh_node(node);
+    }
+
+    static toNode(id, name, raw) {
+        return {
+            id: `node_${id}`,
+            text: name ?? String(id),
+            children: true,
+            data: { assetId: id, asset: raw }
+        };
+    }
+
+    /**
+     * Quietly reloads the Recently Deleted cards while that section is shown. Hidden, nothing is
+     * fetched: switching to the section (showSection) loads them afresh anyway.
+     */
+    static scheduleDeletedCardsRefresh() {
+        if (!document.getElementById('deleted-section')?.classList.contains('active')) return;
+        clearTimeout(TreeLiveUpdates._deletedCardsTimer);
+        TreeLiveUpdates._deletedCardsTimer = setTimeout(() => {
+            if (!document.getElementById('deleted-section')?.classList.contains('active')) return;
+            initializeDeletedCards({ silent: true }).catch(err => console.error('Failed to refresh deleted cards:', err));
+        }, DELETED_CARDS_REFRESH_DELAY_MS);
+    }
+}
+
+TreeLiveUpdates._deletedCardsTimer = null;
+
+document.addEventListener('hub:DeviceAdded', TreeLiveUpdates.onAdded);
+document.addEventListener('hub:DeviceUpdated', TreeLiveUpdates.onUpdated);
+document.addEventListener('hub:DeviceRemoved', TreeLiveUpdates.onRemoved);
+document.addEventListener('assets:children-refreshed', TreeLiveUpdates.onChildrenRefreshed);
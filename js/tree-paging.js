@@ -0,0 +1,269 @@
+// tree-paging.js - Draws wide branches a page at a time (APP_CONFIG.childrenPageSize children per page).
+// A "Load more…" node closes each partial child list; it loads the next page when activated
+// (click, Enter) or, with APP_CONFIG.childrenInfiniteScroll, when it scrolls into view.
+// At most APP_CONFIG.childrenWindowPages pages are drawn per parent: loading past that drops the
+// first page from the DOM and a "Show previous…" node at the top of the list brings it back.
+
+class TreePaging {
+    static pageSize() {
+        return APP_CONFIG.childrenPageSize || 200;
+    }
+
+    /**
+     * Id of a parent's "Load more…" node; also keys how many of its children are shown
+     */
+    static key(idPrefix, parentId) {
+        return `${idPrefix}more_${parentId ?? 'root'}`;
+    }
+
+    /**
+     * Most children drawn under one parent at a time
+     */
+    static windowSize() {
+        return TreePaging.pageSize() * Math.max(1, APP_CONFIG.childrenWindowPages || 3);
+    }
+
+    /**
+     * Children drawn for a parent: positions [start, end) of its full child list
+     */
+    static range(pageKey) {
+        return TreePaging._ranges.get(pageKey) || { start: 0, end: TreePaging.pageSize() };
+    }
+
+    /**
+     * Stores a range, trimming it to the window size from the `keep` side
+     * @param {'start'|'end'} keep - Side of the range that must stay put
+     */
+    static setRange(pageKey, start, end, keep) {
+        start = Math.max(0, start);
+        if (end - start > TreePaging.windowSize()) {
+            if (keep === 'end') start = end - TreePaging.windowSize();
+            else end = start + TreePaging.windowSize();
+        }
+        TreePaging._ranges.set(pageKey, { start, end });
+    }
+
+    /**
+     * The children to draw for a parent, with the "Show previous…" and "Load more…" nodes around them
+     * when part of the list isn't drawn
+     * @param {number|null} parentId - null for the root level
+     * @param {string} idPrefix - Node id prefix of the tree being loaded
+     * @returns {Promise<{items: Object[], previousNode: (Object|null), moreNode: (Object|null)}>}
+     *   items are raw GetByParentId assets
+     */
+    static async load(parentId, idPrefix) {
+        const pageKey = TreePaging.key(idPrefix, parentId);
+        let { start, end } = TreePaging.range(pageKey);
+        const { items, total } = await ChildrenCache.getPage(parentId, end);
+        // The list may have shrunk since the range was set
+        if (start >= items.length && start > 0) {
+            start = Math.max(0, Math.ceil(items.length / TreePaging.pageSize()) - 1) * TreePaging.pageSize();
+            TreePaging.setRange(pageKey, start, end, 'start');
+        }
+        const shown = items.slice(start);
+        const remaining = total === null ? null : total - items.length;
+        return {
+            items: shown,
+            previousNode: start > 0 ? TreePaging.previousNode(pageKey, parentId, start) : null,
+            moreNode: remaining === 0 ? null : TreePaging.moreNode(pageKey, parentId, remaining)
+        };
+    }
+
+    /**
+     * @param {number|null} remaining - null when the server hasn't said how many are left
+     */
+    static moreNode(pageKey, parentId, remaining) {
+        return {
+            id: pageKey,
+            text: remaining === null ? 'Load more…' : `Load more… (${remaining} more)`,
+            icon: false,
+            children: false,
+            li_attr: { class: 'tree-load-more' },
+            data: { loadMore: true, pageKey, parentId }
+        };
+    }
+
+    static previousNode(pageKey, parentId, hidden) {
+        return {
+            id: `${pageKey}_previous`,
+            text: `Show previous… (${hidden} above)`,
+            icon: false,
+            children: false,
+            li_attr: { class: 'tree-load-more' },
+            data: { loadMore: true, previous: true, pageKey, parentId }
+        };
+    }
+
+    /**
+     * "Load more…" or "Show previous…"; neither is an asset
+     */
+    static isMoreNode(node) {
+        return !!node?.data?.loadMore;
+    }
+
+    /**
+     * Whether only part of a loaded node's children is drawn
+     */
+    static hasMore(tree, node) {
+        return (node?.children || []).some(id => TreePaging.isMoreNode(tree.get_node(id)));
+    }
+
+    /**
+     * Draws the next page ("Load more…") or the previous one ("Show previous…") under the node's parent,
+     * dropping a page at the other end once the window is full. The rows on screen stay where they are.
+     * @param {boolean} [focus] - Move focus to the first new child (not wanted when scrolling loads it)
+     */
+    static loadMore(tree, node, focus = true) {
+        const { pageKey, previous } = node.data;
+        if (TreePaging._loading.has(pageKey)) return TreePaging._loading.get(pageKey);
+        const parent = tree.get_node(node.parent);
+        const assets = parent.children.filter(id => !TreePaging.isMoreNode(tree.get_node(id)));
+        // The asset next to the paging node: the new rows are drawn on its far side
+        const anchorId = previous ? assets[0] : assets[assets.length - 1];
+        const { start, end } = TreePaging.range(pageKey);
+        if (previous) TreePaging.setRange(pageKey, start - TreePaging.pageSize(), end, 'start');
+        else TreePaging.setRange(pageKey, start, end + TreePaging.pageSize(), 'end');
+        const restoreScroll = TreePaging.keepScroll(tree, anchorId);
+        const done = TreePaging.reload(tree, parent)
+            .then(() => {
+                restoreScroll();
+                const children = tree.get_node(parent.id).children;
+                const range = TreePaging.range(pageKey);
+                const shown = children.filter(id => !TreePaging.isMoreNode(tree.get_node(id))).length;
+                NotificationCenter.announce(`Showing items ${range.start + 1} to ${range.start + shown}${TreePaging.hasMore(tree, tree.get_node(parent.id)) ? ', more available' : ''}.`);
+                const at = children.indexOf(anchorId);
+                const firstNew = at < 0 ? null : children[previous ? at - 1 : at + 1];
+                if (focus && firstNew && !TreePaging.isMoreNode(tree.get_node(firstNew))) {
+                    tree.get_node(firstNew, true).children('.jstree-anchor').trigger('focus');
+                }
+            })
+            .finally(() => TreePaging._loading.delete(pageKey));
+        TreePaging._loading.set(pageKey, done);
+        return done;
+    }
+
+    /**
+     * Remembers where a node sits on screen; the returned function scrolls its container so the node
+     * is back there after a redraw added or dropped rows above it
+     */
+    static keepScroll(tree, nodeId) {
+        const el = nodeId ? tree.get_node(nodeId, true)?.[0] : null;
+        if (!el?.getBoundingClientRect) return () => {};
+        const before = el.getBoundingClientRect().top;
+        return () => {
+            const after = tree.get_node(nodeId, true)?.[0];
+            if (!after?.getBoundingClientRect) return;
+            let scroller = after.parentElement;
+            while (scroller && scroller !== document.body && !(scroller.scrollHeight > scroller.clientHeight && /auto|scroll/.test(getComputedStyle(scroller).overflowY))) {
+                scroller = scroller.parentElement;
+            }
+            (scroller && scroller !== document.body ? scroller : document.scrollingElement)
+                .scrollTop += after.getBoundingClientRect().top - before;
+        };
+    }
+
+    /**
+     * Reloads a parent's children (the root level reloads the whole tree)
+     * @returns {Promise<void>} Resolves once jsTree has redrawn them
+     */
+    static reload(tree, parent) {
+        return new Promise(resolve => {
+            const $el = tree.element;
+            if (parent.id === '#') {
+                $el.one('refresh.jstree', () => resolve());
+                tree.refresh();
+                return;
+            }
+            const onRefreshed = (e, data) => {
+                if (data.node.id !== parent.id) return;
+                $el.off('refresh_node.jstree', onRefreshed);
+                resolve();
+            };
+            $el.on('refresh_node.jstree', onRefreshed);
+            tree.refresh_node(parent);
+        });
+    }
+
+    /**
+     * Child node of `parent` for an asset, moving the drawn window to the page it is on
+     * (search results and "View asset" can point anywhere in a wide branch)
+     * @returns {Promise<Object|null>} null when the asset isn't among the parent's children
+     */
+    static async revealChild(tree, parent, assetId, idPrefix = 'node_') {
+        const nodeId = `${idPrefix}${assetId}`;
+        if (tree.get_node(nodeId) || !TreePaging.hasMore(tree, parent)) return tree.get_node(nodeId) || null;
+        const parentId = parent.id === '#' ? null : getNodeAssetId(parent);
+        const pageKey = TreePaging.key(idPrefix, parentId);
+        let count = TreePaging.range(pageKey).end;
+        let index;
+        for (;;) {
+            const { items, total } = await ChildrenCache.getPage(parentId, count);
+            index = items.findIndex(a => normalizeAsset(a).id === assetId);
+            if (index >= 0) break;
+            if (total !== null && items.length >= total) return null;
+            count += TreePaging.pageSize();
+        }
+        // Window from the page before the asset's one, so "Show previous…" doesn't sit right above it
+        const pageStart = Math.floor(index / TreePaging.pageSize()) * TreePaging.pageSize();
+        const start = Math.max(pageStart + TreePaging.pageSize() - TreePaging.windowSize(), pageStart - TreePaging.pageSize());
+        TreePaging.setRange(pageKey, start, start + TreePaging.windowSize(), 'start');
+        await TreePaging.reload(tree, parent);
+        return tree.get_node(nodeId) || null;
+    }
+
+    /**
+     * Nodes added or moved into a paged list can land after "Load more…" or before "Show previous…";
+     * put those back at the ends
+     */
+    static keepLast(tree, parentId) {
+        const parent = tree.get_node(parentId);
+        const children = parent?.children || [];
+        const paging = children.map(id => tree.get_node(id)).filter(TreePaging.isMoreNode);
+        const previous = paging.find(n => n.data.previous);
+        const more = paging.find(n => !n.data.previous);
+        if (previous && previous.id !== children[0]) moveNodeWithoutSaving(tree, previous, parent, 'first');
+        if (more && more.id !== children[children.length - 1]) moveNodeWithoutSaving(tree, more, parent, 'last');
+    }
+
+    /**
+     * Wires paging into a tree built on loadAssetTreeChildren. jsTree triggers its events on the tree
+     * element only (they don't bubble) and 'destroy' unbinds them, so call this after each $el.jstree({...}).
+     * @param {jQuery} $el - The tree element
+     */
+    static bind($el) {
+        $el.on('select_node.jstree', (e, data) => {
+            if (!TreePaging.isMoreNode(data.node)) return;
+            data.instance.deselect_node(data.node, true);
+            TreePaging.loadMore(data.instance, data.node);
+        });
+        $el.on('create_node.jstree move_node.jstree', (e, data) => TreePaging.keepLast(data.instance, data.parent));
+        $el.on('redraw.jstree after_open.jstree refresh.jstree refresh_node.jstree', () => TreePaging.observe());
+    }
+
+    /**
+     * Watches newly drawn "Load more…" nodes so scrolling to them loads the next page
+     */
+    static observe() {
+        if (!APP_CONFIG.childrenInfiniteScroll || !('IntersectionObserver' in window)) return;
+        if (!TreePaging._observer) {
+            TreePaging._observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    TreePaging._observer.unobserve(entry.target);
+                    const tree = $.jstree.reference(entry.target);
+                    const node = tree?.get_node(entry.target);
+                    if (TreePaging.isMoreNode(node)) TreePaging.loadMore(tree, node, false);
+                });
+            }, { rootMargin: '200px 0px' });
+        }
+        document.querySelectorAll('.jstree li.tree-load-more:not([data-observed])').forEach(li => {
+            li.dataset.observed = 'true';
+            TreePaging._observer.observe(li);
+        });
+    }
+}
+
+/** @type {Map<string, {start: number, end: number}>} Children drawn per parent, by TreePaging.key */
+TreePaging._ranges = new Map();
+TreePaging._loading = new Map();
+TreePaging._observer = null;
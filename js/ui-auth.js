@@ -2,19 +2,19 @@
 (function(){
   function $(id){return document.getElementById(id)}
 
-  const API_BASE = 'https://localhost:7186/api/Auth';
+  // Auth endpoints are unauthenticated calls on the shared client (js/api-client.js)
+  function postAuth(action, body){
+    return apiClient.post('/Auth/' + action, body, { auth: false });
+  }
+
+  function describeError(err){
+    if(err && err.isNetworkError) return 'Network or server error';
+    return (err && err.message) || 'Network or server error';
+  }
 
+  // Success toasts go through the shared notification center (js/notification-center.js)
   function showToast(msg){
-    let t = document.querySelector('.toast');
-    if(!t){
-      t = document.createElement('div');
-      t.className = 'toast';
-      Object.assign(t.style,{position:'fixed',right:'20px',top:'20px',padding:'10px 14px',background:'#111827',color:'#fff',borderRadius:'8px',boxShadow:'0 6px 18px rgba(2,6,23,.3)',zIndex:9999});
-      document.body.appendChild(t);
-    }
-    t.textContent = msg;
-    t.style.opacity = '1';
-    setTimeout(()=>{ t.style.transition = 'opacity 400ms'; t.style.opacity = '0'; }, 1800);
+    showNotification(msg, 'success');
   }
 
   // toggle password helper
@@ -30,54 +30,160 @@
     });
   }
 
+  // Password + confirm fields shared by signup and reset: policy hint, strength meter, matching
+  function setupNewPassword(form, meterId){
+    const help = form.password.closest('.field').querySelector('.pw-help');
+    if(help) help.textContent = Validation.describePolicy();
+    const meter = $(meterId);
+    if(meter) Validation.attachStrengthMeter(form.password, meter, ()=>({ email: form.email.value }));
+    // Re-check the confirmation as either field changes, once the user has typed one
+    const checkMatch = ()=>{
+      if(!form.confirm.value) return true;
+      const same = form.confirm.value === form.password.value;
+      setError(form.confirm, same ? '' : 'Passwords do not match');
+      return same;
+    };
+    form.password.addEventListener('input', checkMatch);
+    form.confirm.addEventListener('input', checkMatch);
+  }
+
+  // Client-side checks for a new password; returns false when an error was shown
+  function validateNewPassword(form){
+    let ok = true;
+    const problems = Validation.checkPassword(form.password.value, { email: form.email.value });
+    if(problems.length){ setError(form.password, problems.join('. ') + '.'); ok=false; }
+    if(!form.confirm.value){ setError(form.confirm, 'Please confirm your password'); ok=false; }
+    else if(form.confirm.value !== form.password.value){ setError(form.confirm, 'Passwords do not match'); ok=false; }
+    return ok;
+  }
+
   // Signup form
   const signupForm = $('signupForm');
   if(signupForm){
     setupToggle('togglePw','password');
+    setupNewPassword(signupForm, 'pwStrength');
+    // Remembers the last availability answer so submit doesn't have to ask again
+    let emailCheck = { email: null, taken: null };
+    signupForm.email.addEventListener('blur', async ()=>{
+      const email = signupForm.email.value.trim();
+      if(!Validation.isEmail(email) || email === emailCheck.email) return;
+      const taken = await Validation.isEmailTaken(email);
+      emailCheck = { email: email, taken: taken };
+      // The user may have kept typing while the check ran
+      if(signupForm.email.value.trim() !== email) return;
+      setError(signupForm.email, taken ? 'An account with this email already exists. Log in or reset your password.' : '');
+    });
     signupForm.addEventListener('submit', async function(e){
       e.preventDefault();
       clearErrors(signupForm);
       const name = signupForm.name.value.trim();
-      const role = signupForm.role ? signupForm.role.value : 'User';
       const email = signupForm.email.value.trim();
       const pw = signupForm.password.value;
       let ok = true;
       if(!name){ setError(signupForm.name, 'Name is required'); ok=false; }
       if(!validateEmail(email)){ setError(signupForm.email, 'Please enter a valid email'); ok=false; }
-      if(pw.length < 6){ setError(signupForm.password, 'Password must be at least 6 characters'); ok=false; }
+      else if(emailCheck.email === email && emailCheck.taken){ setError(signupForm.email, 'An account with this email already exists. Log in or reset your password.'); ok=false; }
+      if(!validateNewPassword(signupForm)) ok=false;
       if(!ok){ return; }
       const status = $('status');
       status.textContent = 'Creating account...';
       try{
-        const resp = await fetch(API_BASE + '/register', {
-          method: 'POST',
-          headers: {'Content-Type':'application/json'},
-          body: JSON.stringify({ userName: name, email: email, password: pw, role: role}),
-          credentials: 'include'
-        });
-        const data = await resp.json().catch(()=>null);
-        console.log('Register response:', resp.status, data);
-        if(!resp.ok){
-          // try show server message
-          const errMsg = (data && (data.message || data.error || data)) || `Register failed (${resp.status})`;
-          status.textContent = String(errMsg);
-          return;
-        }
-        // Store user information
-        const userData = {
-          email: email,
-          name: name,
-          role: role,
-          registeredOn: new Date().toISOString()
-        };
-        localStorage.setItem('userData', JSON.stringify(userData));
-        
-        status.textContent = 'Account created — redirecting to login';
+        // New accounts always start as User; an administrator grants Admin (see Permissions)
+        const data = await postAuth('register', { userName: name, email: email, password: pw, role: 'User'});
+        console.log('Register response:', data);
+        status.textContent = '';
         showToast('Registered successfully');
-        setTimeout(()=> location.href = 'login.html', 900);
+        showVerifyEmail(email);
       }catch(err){
         console.error('Register error', err);
-        status.textContent = 'Network or server error';
+        showServerErrors(signupForm, err);
+      }
+    });
+  }
+
+  // "Verify your email" state shown in place of the signup form
+  function showVerifyEmail(email){
+    const panel = $('verifyPanel');
+    if(!panel){ location.href = 'login.html'; return; }
+    signupForm.hidden = true;
+    $('signupIntro').hidden = true;
+    $('verifyEmail').textContent = email;
+    panel.hidden = false;
+    const resend = $('resendVerifyBtn');
+    const status = $('verifyStatus');
+    resend.addEventListener('click', async ()=>{
+      resend.disabled = true;
+      status.textContent = 'Sending...';
+      try{
+        await postAuth('resend-confirmation', { email: email });
+        status.textContent = 'Sent. Check your inbox (and spam folder).';
+      }catch(err){
+        console.error('Resend confirmation error', err);
+        status.textContent = describeError(err);
+      }finally{
+        // Throttle resends a little; the mail may just be slow
+        setTimeout(()=> resend.disabled = false, 30000);
+      }
+    });
+  }
+
+  // Forgot password form: asks for a reset link
+  const forgotForm = $('forgotForm');
+  if(forgotForm){
+    forgotForm.addEventListener('submit', async function(e){
+      e.preventDefault();
+      clearErrors(forgotForm);
+      const email = forgotForm.email.value.trim();
+      if(!validateEmail(email)){ setError(forgotForm.email, 'Please enter a valid email'); return; }
+      const status = $('status');
+      const submit = forgotForm.querySelector('button[type="submit"]');
+      status.textContent = 'Sending reset link...';
+      submit.disabled = true;
+      try{
+        await postAuth('forgot-password', { email: email });
+        // Same answer whether or not the account exists, so the form can't be used to probe emails
+        status.textContent = 'If an account exists for ' + email + ', a reset link is on its way. Check your inbox.';
+      }catch(err){
+        console.error('Forgot password error', err);
+        status.textContent = describeError(err);
+      }finally{
+        submit.disabled = false;
+      }
+    });
+  }
+
+  // Reset password form: the emailed link carries ?email=...&token=...
+  const resetForm = $('resetForm');
+  if(resetForm){
+    setupToggle('toggleResetPw','reset-password');
+    setupNewPassword(resetForm, 'resetPwStrength');
+    const params = new URLSearchParams(location.search);
+    const token = params.get('token');
+    const linkEmail = params.get('email') || '';
+    resetForm.email.value = linkEmail;
+    if(!token){
+      $('status').innerHTML = 'This reset link is incomplete or has expired. <a class="link" href="forgot-password.html">Request a new one</a>.';
+      resetForm.querySelector('button[type="submit"]').disabled = true;
+    }
+    resetForm.addEventListener('submit', async function(e){
+      e.preventDefault();
+      clearErrors(resetForm);
+      const email = resetForm.email.value.trim();
+      const pw = resetForm.password.value;
+      let ok = true;
+      if(!validateEmail(email)){ setError(resetForm.email, 'Please enter a valid email'); ok=false; }
+      if(!validateNewPassword(resetForm)) ok=false;
+      if(!ok) return;
+      const status = $('status');
+      status.textContent = 'Updating password...';
+      try{
+        await postAuth('reset-password', { email: email, token: token, newPassword: pw });
+        status.textContent = 'Password updated — redirecting to login';
+        showToast('Password updated');
+        setTimeout(()=> location.href = 'login.html?reason=password-reset', 900);
+      }catch(err){
+        console.error('Reset password error', err);
+        showServerErrors(resetForm, err);
       }
     });
   }
@@ -86,6 +192,17 @@
   const loginForm = $('loginForm');
   if(loginForm){
     setupToggle('togglePwLogin','login-password');
+    const params = new URLSearchParams(location.search);
+    // Set by AuthSession.loginUrl(): why the dashboard sent us here and which section to return to
+    const reasons = {
+      'session-expired': 'Your session has expired. Please sign in again.',
+      'signed-out': 'You were signed out in another tab.',
+      'password-reset': 'Your password was updated. Sign in with the new one.'
+    };
+    if(reasons[params.get('reason')]){
+      $('status').textContent = reasons[params.get('reason')];
+    }
+    const next = /^#[\w-]+$/.test(params.get('next') || '') ? params.get('next') : '';
     loginForm.addEventListener('submit', async function(e){
       e.preventDefault();
       clearErrors(loginForm);
@@ -98,45 +215,41 @@
       const status = $('status');
       status.textContent = 'Signing in...';
       try{
-        const resp = await fetch(API_BASE + '/login', {
-          method: 'POST',
-          headers: {'Content-Type':'application/json'},
-          body: JSON.stringify({ email: email, password: pw }),
-          credentials: 'include'
-        });
-        const data = await resp.json().catch(()=>null);
-        console.log('Login response:', resp.status, data);
-        if(!resp.ok){
-          const errMsg = (data && (data.message || data.error || data)) || `Login failed (${resp.status})`;
-          status.textContent = String(errMsg);
-          return;
-        }
-        // if token returned in body, store non-HttpOnly token if present
-        const token = data?.tokenResponse?.accessToken || data?.accessToken || null;
-        if(token) localStorage.setItem('accessToken', token);
-        
-        // Store user information
-        const userData = {
-          email: email,
-          name: data?.name || data?.userName || email.split('@')[0],
-          role: data?.user?.role || 'User',
-          lastLogin: new Date().toISOString()
-        };
-        localStorage.setItem('userData', JSON.stringify(userData));
+        const data = await postAuth('login', { email: email, password: pw });
+        console.log('Login response:', data);
+        // if tokens returned in body, store non-HttpOnly access + refresh tokens if present
+        // (user details are read from the verified session on the dashboard, see js/session-guard.js)
+        // "Remember me" keeps them in localStorage; otherwise they go when the tab closes
+        AuthSession.storeTokens(data, { remember: loginForm.remember.checked });
+        // Only used when the access token has no role claim (see js/permissions.js)
+        AuthSession.storeRoles(data?.user?.role || data?.user?.roles || data?.role || data?.roles);
         
         showToast('Login successful');
         status.textContent = 'Signed in — redirecting';
         setTimeout(() => {
-         window.location.href = 'dashboard.html';
+         window.location.href = 'dashboard.html' + next;
         }, 700);
       }catch(err){
         console.error('Login error', err);
-        status.textContent = 'Network or server error';
+        status.textContent = describeError(err);
       }
     });
   }
 
-  function validateEmail(v){ return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v); }
+  function validateEmail(v){ return Validation.isEmail(v); }
+
+  // Puts server-side (Identity/ProblemDetails) errors under their fields; the rest goes to #status
+  function showServerErrors(form, err){
+    if(err && (err.isNetworkError || err.isTimeout)){ $('status').textContent = describeError(err); return; }
+    const mapped = Validation.mapServerErrors(err);
+    const general = mapped.general.slice();
+    Object.entries(mapped.fields).forEach(([field, messages])=>{
+      const input = form.elements[field];
+      if(input) setError(input, messages.join(' '));
+      else general.push(...messages);
+    });
+    $('status').textContent = general.join(' ');
+  }
 
   function setError(input, msg){
     const fld = input.closest('.field');
@@ -0,0 +1,185 @@
+// validation.js - Client-side checks for the auth forms, mirroring the backend's ASP.NET Identity rules
+
+// Identity error codes -> the form field they belong to (anything else goes to #status)
+const IDENTITY_ERROR_FIELDS = {
+    DuplicateEmail: 'email',
+    InvalidEmail: 'email',
+    DuplicateUserName: 'email',
+    InvalidUserName: 'name',
+    PasswordTooShort: 'password',
+    PasswordRequiresDigit: 'password',
+    PasswordRequiresLower: 'password',
+    PasswordRequiresUpper: 'password',
+    PasswordRequiresNonAlphanumeric: 'password',
+    PasswordRequiresUniqueChars: 'password',
+    PasswordMismatch: 'password',
+    InvalidToken: null
+};
+
+// Strength meter steps, indexed by score 0-4
+const PASSWORD_STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+class Validation {
+    static isEmail(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || '').trim());
+    }
+
+    /**
+     * Password rules from APP_CONFIG.passwordPolicy, with Identity's defaults for anything unset
+     */
+    static getPolicy() {
+        return {
+            minLength: 8,
+            requireLower: true,
+            requireUpper: true,
+            requireDigit: true,
+            requireSymbol: true,
+            forbidEmail: true,
+            ...(APP_CONFIG.passwordPolicy || {})
+        };
+    }
+
+    /**
+     * One sentence describing the policy, for the hint under password fields
+     */
+    static describePolicy() {
+        const policy = Validation.getPolicy();
+        const parts = [];
+        if (policy.requireUpper && policy.requireLower) parts.push('upper and lower case letters');
+        else if (policy.requireUpper) parts.push('an upper case letter');
+        else if (policy.requireLower) parts.push('a lower case letter');
+        if (policy.requireDigit) parts.push('a digit');
+        if (policy.requireSymbol) parts.push('a symbol');
+        const last = parts.pop();
+        const list = parts.length ? `${parts.join(', ')} and ${last}` : last;
+        return `At least ${policy.minLength} characters${list ? ` with ${list}` : ''}`;
+    }
+
+    /**
+     * @param {string} password
+     * @param {{email?: string}} [context] - Used for the no-email-in-password rule
+     * @returns {string[]} Unmet rules; empty when the password is acceptable
+     */
+    static checkPassword(password, context = {}) {
+        const policy = Validation.getPolicy();
+        const pw = String(password || '');
+        const problems = [];
+        if (pw.length < policy.minLength) problems.push(`Use at least ${policy.minLength} characters`);
+        if (policy.requireLower && !/[a-z]/.test(pw)) problems.push('Add a lower case letter');
+        if (policy.requireUpper && !/[A-Z]/.test(pw)) problems.push('Add an upper case letter');
+        if (policy.requireDigit && !/\d/.test(pw)) problems.push('Add a digit');
+        if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(pw)) problems.push('Add a symbol');
+        if (policy.forbidEmail && context.email) {
+            // Neither the whole address nor its local part may appear in the password
+            const email = context.email.trim().toLowerCase();
+            const local = email.split('@')[0];
+            const lower = pw.toLowerCase();
+            if (lower.includes(email) || (local.length >= 3 && lower.includes(local))) {
+                problems.push("Don't include your email address");
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Rough strength estimate for the meter; policy failures cap it at "Weak"
+     * @returns {{score: number, label: string}}
+     */
+    static passwordStrength(password, context = {}) {
+        const pw = String(password || '');
+        if (!pw) return { score: 0, label: '' };
+        const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(pw)).length;
+        const unique = new Set(pw).size;
+        let score = 0;
+        if (pw.length >= 8) score++;
+        if (pw.length >= 12) score++;
+        if (classes >= 3) score++;
+        if (classes === 4 || pw.length >= 16) score++;
+        // Long runs of the same few characters ("aaaaaaaa1!") aren't strong whatever their length
+        if (unique < Math.min(pw.length, 8) / 2) score = Math.min(score, 1);
+        if (Validation.checkPassword(pw, context).length) score = Math.min(score, 1);
+        return { score, label: PASSWORD_STRENGTH_LABELS[score] };
+    }
+
+    /**
+     * Live strength meter for a password input; markup is .pw-strength > .pw-strength-bar > span + .pw-strength-label
+     * @param {HTMLInputElement} input
+     * @param {HTMLElement} meter
+     * @param {function():{email?: string}} [getContext]
+     */
+    static attachStrengthMeter(input, meter, getContext = () => ({})) {
+        const bar = meter.querySelector('.pw-strength-bar span');
+        const label = meter.querySelector('.pw-strength-label');
+        const update = () => {
+            const { score, label: text } = Validation.passwordStrength(input.value, getContext());
+            meter.dataset.score = String(score);
+            meter.hidden = !input.value;
+            bar.style.width = `${(score + 1) * 20}%`;
+            label.textContent = text;
+        };
+        input.addEventListener('input', update);
+        update();
+        return update;
+    }
+
+    /**
+     * Asks the backend whether an email is already registered (APP_CONFIG.emailCheckPath).
+     * Accepts { available }, { exists } or a bare boolean meaning "available".
+     * @returns {Promise<boolean|null>} true if taken, false if free, null if the check couldn't run
+     */
+    static async isEmailTaken(email) {
+        try {
+            const path = `${APP_CONFIG.emailCheckPath || '/Auth/email-available'}?email=${encodeURIComponent(email)}`;
+            const res = await apiClient.get(path, { auth: false });
+            if (typeof res === 'boolean') return !res;
+            if (typeof res?.available === 'boolean') return !res.available;
+            if (typeof res?.exists === 'boolean') return res.exists;
+            return null;
+        } catch (err) {
+            // No such endpoint or no network: the server still rejects duplicates on submit
+            console.debug('Email availability check skipped:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Sorts a failed auth call's errors by form field. Understands Identity's [{ code, description }]
+     * arrays (possibly wrapped in { errors: [...] }) and ProblemDetails { errors: { Field: [...] } }.
+     * @param {ApiError} err
+     * @returns {{fields: Object<string, string[]>, general: string[]}}
+     */
+    static mapServerErrors(err) {
+        const result = { fields: {}, general: [] };
+        const add = (field, message) => {
+            if (!message) return;
+            if (field) (result.fields[field] = result.fields[field] || []).push(message);
+            else result.general.push(message);
+        };
+        const body = err?.body;
+        const list = Array.isArray(body) ? body : Array.isArray(body?.errors) ? body.errors : null;
+        if (list) {
+            list.forEach(e => {
+                const code = e?.code || e?.Code || '';
+                add(IDENTITY_ERROR_FIELDS[code] ?? Validation.fieldFromCode(code), e?.description || e?.Description || String(e));
+            });
+        } else if (err?.errors && typeof err.errors === 'object') {
+            Object.entries(err.errors).forEach(([key, messages]) => {
+                const field = key in IDENTITY_ERROR_FIELDS ? IDENTITY_ERROR_FIELDS[key] : Validation.fieldFromCode(key);
+                [].concat(messages).forEach(m => add(field, m));
+            });
+        }
+        if (!Object.keys(result.fields).length && !result.general.length) add(null, err?.message || 'Request failed');
+        return result;
+    }
+
+    /**
+     * Best guess for codes/keys not in IDENTITY_ERROR_FIELDS ("Password", "$.email", "UserName")
+     */
+    static fieldFromCode(code) {
+        const key = String(code || '').toLowerCase();
+        if (key.includes('password')) return 'password';
+        if (key.includes('email')) return 'email';
+        if (key.includes('username') || key === 'name' || key.endsWith('.name')) return 'name';
+        return null;
+    }
+}
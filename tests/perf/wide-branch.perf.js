@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// wide-branch.perf.js - Performance budget for wide branches (js/tree-paging.js)
+//
+// Loads the tree scripts into a bare VM context with GetByParentId mocked to serve a synthetic
+// hierarchy: one root asset with 50,000 children. Expanding it must stay within the time budget and
+// draw at most one window of nodes, also while paging to the end and when revealing the last child.
+// Pages load the way a click on "Load more…" does: a select_node.jstree on the tree element.
+//
+//   node tests/perf/wide-branch.perf.js
+//
+// PERF_CHILDREN (50000), PERF_EXPAND_BUDGET_MS (250) and PERF_PAGE_BUDGET_MS (100) override the defaults.
+// Exits with 1 when a budget is exceeded.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+const CHILDREN = Number(process.env.PERF_CHILDREN) || 50000;
+const EXPAND_BUDGET_MS = Number(process.env.PERF_EXPAND_BUDGET_MS) || 250;
+const PAGE_BUDGET_MS = Number(process.env.PERF_PAGE_BUDGET_MS) || 100;
+const ROOT_ID = 1;
+const SCRIPTS = ['config.js', 'hierarchy-walker.js', 'children-cache.js', 'tree-paging.js', 'asset-hierarchy-api.js'];
+
+/**
+ * Browser globals the scripts touch while loading children; everything else is left undefined
+ */
+function createContext() {
+    const chain = new Proxy(function() {}, { get: () => chain, apply: () => chain });
+    const storage = new Map();
+    const context = {
+        console: { log() {}, debug() {}, warn: console.warn, error: console.error },
+        setTimeout,
+        clearTimeout,
+        navigator: { onLine: true },
+        document: { addEventListener() {}, dispatchEvent() {}, querySelectorAll: () => [] },
+        sessionStorage: {
+            getItem: key => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        CustomEvent: class CustomEvent {},
+        $: chain,
+        NotificationCenter: { announce() {} }
+    };
+    context.window = context;
+    vm.createContext(context);
+    SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', '..', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * GetByParentId over the synthetic hierarchy; counts calls and honours ?skip=&take=
+ */
+function mockApi(context) {
+    const children = Array.from({ length: CHILDREN }, (_, i) => ({ id: 1000 + i, name: `Sensor ${i}`, parentId: ROOT_ID }));
+    const api = { calls: 0 };
+    context.fetchAssetsByParentId = async (parentId = null, page = null) => {
+        api.calls++;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const list = parentId === null ? [{ id: ROOT_ID, name: 'Plant', parentId: null }] : (parentId === ROOT_ID ? children : []);
+        // Copy as a JSON response would be
+        return JSON.parse(JSON.stringify(page ? list.slice(page.skip, page.skip + page.take) : list));
+    };
+    return api;
+}
+
+/**
+ * Just enough of a jsTree instance for TreePaging: nodes by id, refresh_node through the real loader,
+ * events triggered on the element as jsTree does
+ */
+function createTree(context) {
+    const nodes = new Map([['#', { id: '#', children: [] }]]);
+    const handlers = [];
+    const element = {
+        on(names, fn) {
+            names.split(' ').forEach(name => handlers.push({ name, fn }));
+            return element;
+        },
+        one(name, fn) {
+            const once = (...args) => { element.off(name, once); fn(...args); };
+            return element.on(name, once);
+        },
+        off(name, fn) {
+            const at = handlers.findIndex(h => h.name === name && h.fn === fn);
+            if (at >= 0) handlers.splice(at, 1);
+            return element;
+        }
+    };
+    const trigger = (name, data) => handlers.filter(h => h.name === name).forEach(h => h.fn({}, { ...data, instance: tree }));
+    // Focus moves to the first new row after a page loads
+    const dom = Object.assign([], { children: () => ({ trigger() {} }) });
+    const tree = {
+        nodes,
+        element,
+        trigger,
+        get_node: (id, asDom) => (asDom ? dom : nodes.get(typeof id === 'object' ? id.id : id) || false),
+        deselect_node() {},
+        async load(node) {
+            const loaded = await context.loadAssetTreeChildren(node);
+            node.children.forEach(id => nodes.delete(id));
+            loaded.forEach(n => nodes.set(n.id, { ...n, parent: node.id, children: [] }));
+            node.children = loaded.map(n => n.id);
+        },
+        refresh_node(node) {
+            tree.load(node).then(() => {
+                trigger('refresh_node.jstree', { node });
+            });
+        },
+        refresh() {
+            tree.load(nodes.get('#')).then(() => {
+                trigger('refresh.jstree', {});
+            });
+        }
+    };
+    return tree;
+}
+
+async function time(fn) {
+    const start = performance.now();
+    const result = await fn();
+    return { ms: performance.now() - start, result };
+}
+
+async function run(serverPaging) {
+    const context = createContext();
+    const api = mockApi(context);
+    const config = vm.runInContext('APP_CONFIG', context);
+    config.childrenCachePersist = false;
+    config.childrenServerPaging = serverPaging;
+    const TreePaging = vm.runInContext('TreePaging', context);
+    const windowSize = TreePaging.windowSize();
+    const failures = [];
+    const check = (ok, message) => { if (!ok) failures.push(message); };
+
+    const tree = createTree(context);
+    TreePaging.bind(tree.element);
+    await tree.load(tree.get_node('#'));
+    const root = tree.get_node(`node_${ROOT_ID}`);
+    check(!!root, 'root asset was not drawn');
+
+    const expand = await time(() => tree.load(root));
+    const drawn = () => tree.get_node(root.id).children.length;
+    check(expand.ms <= EXPAND_BUDGET_MS, `expanding ${CHILDREN} children took ${expand.ms.toFixed(1)} ms (budget ${EXPAND_BUDGET_MS} ms)`);
+    check(drawn() <= TreePaging.pageSize() + 1, `expanding drew ${drawn()} nodes, more than one page`);
+
+    // Page all the way down, clicking "Load more…" each time
+    let pages = 0;
+    let slowest = 0;
+    let widest = 0;
+    for (;;) {
+        const more = tree.get_node(root.id).children.map(id => tree.get_node(id)).find(n => TreePaging.isMoreNode(n) && !n.data.previous);
+        if (!more) break;
+        const page = await time(() => {
+            tree.trigger('select_node.jstree', { node: more });
+            const loading = TreePaging._loading.get(more.data.pageKey);
+            return loading ? loading.then(() => true) : false;
+        });
+        if (!page.result) {
+            check(false, 'selecting "Load more…" did not load a page');
+            break;
+        }
+        pages++;
+        slowest = Math.max(slowest, page.ms);
+        widest = Math.max(widest, drawn());
+    }
+    const last = tree.get_node(root.id).children.filter(id => !TreePaging.isMoreNode(tree.get_node(id))).pop();
+    check(last === `node_${1000 + CHILDREN - 1}`, `paging stopped at ${last}, not the last child`);
+    check(slowest <= PAGE_BUDGET_MS, `slowest "Load more…" took ${slowest.toFixed(1)} ms (budget ${PAGE_BUDGET_MS} ms)`);
+    check(widest <= windowSize + 2, `${widest} nodes were drawn at once (window ${windowSize} plus 2 paging nodes)`);
+
+    // Jump back to the top through a reveal, as search results do
+    const reveal = await time(() => TreePaging.revealChild(tree, tree.get_node(root.id), 1000));
+    check(!!reveal.result, 'revealChild did not draw the first child');
+    check(drawn() <= windowSize + 2, `revealChild drew ${drawn()} nodes`);
+
+    console.log(`${serverPaging ? 'server paging' : 'client paging'}: expand ${expand.ms.toFixed(1)} ms, ` +
+        `${pages} pages (slowest ${slowest.toFixed(1)} ms, at most ${widest} nodes drawn), ` +
+        `reveal ${reveal.ms.toFixed(1)} ms, ${api.calls} GetByParentId calls`);
+    return failures;
+}
+
+(async () => {
+    const failures = [...await run(false), ...await run(true)];
+    failures.forEach(f => console.error(`FAIL ${f}`));
+    process.exit(failures.length ? 1 : 0);
+})();